@@ -12,8 +12,17 @@ document.addEventListener("DOMContentLoaded", () => {
   const btnPrev  = document.getElementById("btnPrev");
   const btnNext  = document.getElementById("btnNext");
   const btnFlip  = document.getElementById("btnFlip");
+  const btnSetup = document.getElementById("btnSetup");
+
+  const openingEl = document.getElementById("opening");
+  const explorerDiv = document.getElementById("explorer");
+  const btnExplorer = document.getElementById("btnExplorer");
+
+  const engineDiv = document.getElementById("engine");
+  const btnEngine = document.getElementById("btnEngine");
 
   const widgetContainer = document.querySelector(".placeholder-controls");
+  const nagPalette = document.getElementById("nags");
 
 
   /* ======================================================
@@ -40,6 +49,7 @@ document.addEventListener("DOMContentLoaded", () => {
       this.next = null;
       this.vars = [];
       this.comment = "";
+      this.nags = [];
     }
   }
 
@@ -48,13 +58,13 @@ document.addEventListener("DOMContentLoaded", () => {
    * CHESS STATE
    * ====================================================== */
 
-  const chess = new Chess();
+  let variant = "standard";
+  let chess = new Chess();
   const START_FEN = chess.fen();
 
-  const root = new Node(null, null, START_FEN);
+  let root = new Node(null, null, START_FEN);
   let cursor = root;
 
-  let pendingPromotion = null;
   let boardOrientation = localStorage.getItem("boardOrientation") || "white";
 
 
@@ -70,10 +80,24 @@ document.addEventListener("DOMContentLoaded", () => {
   });
 
   board.orientation(boardOrientation);
+  PGNCore.clickToMove("board", { game: () => chess, onMove: onDrop });
 
   function rebuildTo(node, animate) {
     chess.load(node?.fen || START_FEN);
     board.position(chess.fen(), !!animate);
+    drawShapes(node);
+    updateExplorer();
+    updateOpening(node || root);
+    updateEngine();
+  }
+
+  // [%cal] arrows and [%csl] squares from the move's comment
+  function drawShapes(node) {
+    PGNCore.drawAnnotations(
+      "board",
+      PGNCore.parseAnnotations(node?.comment || ""),
+      boardOrientation
+    );
   }
 
 
@@ -81,13 +105,26 @@ document.addEventListener("DOMContentLoaded", () => {
    * MOVE INPUT + PROMOTION
    * ====================================================== */
 
+  // A scratch game at the current position, in the loaded variant
+  function scratchGame() {
+    const t = PGNCore.createGame(variant);
+    t.load(chess.fen());
+    return t;
+  }
+
+  // A tap is a drop on the same square; it only starts click-to-move
   function onDrop(from, to) {
-    const t = new Chess(chess.fen());
-    const p = t.get(from);
+    if (from === to) return "snapback";
+
+    const t = scratchGame();
 
-    if (p?.type === "p" && (to[1] === "8" || to[1] === "1")) {
-      pendingPromotion = { from, to };
-      promo.style.display = "flex";
+    // The pawn waits on the last rank until a piece is picked
+    if (PGNCore.isPromotion(t, from, to)) {
+      PGNCore.choosePromotion(t.turn(), promo).then(p => {
+        const m = p && t.move({ from, to, promotion: p });
+        if (m) applyMove(m.san, t.fen());
+        else board.position(chess.fen(), false);
+      });
       return;
     }
 
@@ -96,16 +133,68 @@ document.addEventListener("DOMContentLoaded", () => {
     applyMove(m.san, t.fen());
   }
 
-  promo.onclick = e => {
-    if (!e.target.dataset.p) return;
-    promo.style.display = "none";
 
-    const t = new Chess(chess.fen());
-    const m = t.move({ ...pendingPromotion, promotion: e.target.dataset.p });
-    pendingPromotion = null;
+  /* ======================================================
+   * HISTORY (UNDO / REDO)
+   * ====================================================== */
 
-    if (m) applyMove(m.san, t.fen());
-  };
+  // Every edit records a snapshot of the whole tree first. Analysis
+  // trees are small, and a snapshot cannot drift out of sync with the
+  // tree the way hand-written inverse operations can.
+  const HISTORY_LIMIT = 200;
+  const undoStack = [];
+  const redoStack = [];
+
+  function cloneTree(node, parent, map) {
+    const n = new Node(node.san, parent, node.fen);
+    n.comment = node.comment;
+    n.nags = node.nags.slice();
+    map.set(node, n);
+
+    if (node.next) n.next = cloneTree(node.next, n, map);
+    n.vars = node.vars.map(v => cloneTree(v, n, map));
+    return n;
+  }
+
+  function snapshot() {
+    const map = new Map();
+    const r = cloneTree(root, null, map);
+    return { root: r, cursor: map.get(cursor) || r, variant, headers: { ...gameHeaders } };
+  }
+
+  // Call before changing the tree; pass a snapshot taken earlier when
+  // it is only known afterwards whether anything changed
+  function record(before) {
+    undoStack.push(before || snapshot());
+    if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    redoStack.length = 0;
+    updateWidgetState();
+  }
+
+  function restore(s) {
+    root = s.root;
+    cursor = s.cursor;
+    gameHeaders = s.headers;
+    if (s.variant !== variant) {
+      variant = s.variant;
+      chess = PGNCore.createGame(variant);
+    }
+    rebuildTo(cursor, true);
+    render();
+    updateWidgetState();
+  }
+
+  function undo() {
+    if (!undoStack.length) return;
+    redoStack.push(snapshot());
+    restore(undoStack.pop());
+  }
+
+  function redo() {
+    if (!redoStack.length) return;
+    undoStack.push(snapshot());
+    restore(redoStack.pop());
+  }
 
 
   /* ======================================================
@@ -120,6 +209,7 @@ document.addEventListener("DOMContentLoaded", () => {
       return;
     }
 
+    record();
     const n = new Node(san, cursor, fen);
     if (!cursor.next) cursor.next = n;
     else cursor.vars.push(n);
@@ -137,76 +227,46 @@ document.addEventListener("DOMContentLoaded", () => {
   function render() {
     movesDiv.innerHTML = "";
     renderMainline();
+    updateNagPalette();
+    scheduleSave();
   }
 
   function renderMainline() {
-    let m = 1;
-    let w = root.next;
-    let bPrev = null;
-
-    while (w) {
-      let printedWhiteVar = false;
-
-      movesDiv.appendChild(text(m + ".\u00A0"));
-      appendMove(movesDiv, w);
-      appendComment(movesDiv, w);
-      movesDiv.appendChild(text(" "));
-
-      if (bPrev && bPrev.vars.length) {
-        for (const v of bPrev.vars) {
-          renderVarBlock(movesDiv, v, m, "w");
-          printedWhiteVar = true;
-        }
-      }
-
-      const b = w.next;
-      if (!b) return;
-
-      if (printedWhiteVar) {
-        movesDiv.appendChild(text(m + "...\u00A0"));
-      }
-
-      appendMove(movesDiv, b);
-      appendComment(movesDiv, b);
-      movesDiv.appendChild(text(" "));
-
-      if (w.vars.length) {
-        for (const v of w.vars) {
-          renderVarBlock(movesDiv, v, m, "b");
-        }
-      }
-
-      bPrev = b;
-      w = b.next;
-      m++;
-    }
+    if (root.next) renderLine(movesDiv, root.next);
   }
 
-  function renderVarBlock(container, node, moveNo, side) {
+  function renderVarBlock(container, node) {
     const span = document.createElement("span");
     span.className = "variation";
-    span.appendChild(text("(" + moveNo + (side === "w" ? ".\u00A0" : "...\u00A0")));
-    renderLine(span, node, moveNo, side, true);
+    span.appendChild(text("("));
+    renderLine(span, node);
     trim(span);
     span.appendChild(text(") "));
     container.appendChild(span);
   }
 
-  function renderLine(container, node, moveNo, side, skipPrefix) {
-    let cur = node, m = moveNo, s = side, first = true;
+  function renderLine(container, node) {
+    let cur = node, interrupted = true;
 
     while (cur) {
-      if (s === "w" && !(first && skipPrefix)) {
-        container.appendChild(text(m + ".\u00A0"));
-      }
+      const no = +fenField(cur.parent.fen, 5) || 1;
+      const white = fenField(cur.parent.fen, 1) === "w";
+
+      if (white) container.appendChild(text(no + ".\u00A0"));
+      else if (interrupted) container.appendChild(text(no + "...\u00A0"));
 
       appendMove(container, cur);
       appendComment(container, cur);
       container.appendChild(text(" "));
+      interrupted = !!shownComment(cur);
+
+      if (cur.parent.next === cur) {
+        for (const v of cur.parent.vars) {
+          renderVarBlock(container, v);
+          interrupted = true;
+        }
+      }
 
-      if (s === "b") m++;
-      s = s === "w" ? "b" : "w";
-      first = false;
       cur = cur.next;
     }
   }
@@ -214,7 +274,8 @@ document.addEventListener("DOMContentLoaded", () => {
   function appendMove(container, node) {
     const span = document.createElement("span");
     span.className = "move" + (node === cursor ? " active" : "");
-    span.textContent = figSAN(node.san);
+    span.textContent = figSAN(node.san) +
+      node.nags.filter(n => n <= 6).map(n => PGNCore.NAG_MAP[n]).join("");
     span.onclick = () => {
       cursor = node;
       rebuildTo(node, true);
@@ -222,13 +283,23 @@ document.addEventListener("DOMContentLoaded", () => {
       updateWidgetState();
     };
     container.appendChild(span);
+
+    // position and other NAGs follow the move, as in pgn.js
+    node.nags.filter(n => n > 6 && PGNCore.NAG_MAP[n])
+      .forEach(n => container.appendChild(text(" " + PGNCore.NAG_MAP[n])));
+  }
+
+  // [%eval]/[%clk]-style commands stay in the PGN but are not shown
+  function shownComment(node) {
+    return node.comment ? PGNCore.sanitizeComment(node.comment) : null;
   }
 
   function appendComment(container, node) {
-    if (!node.comment) return;
+    const txt = shownComment(node);
+    if (!txt) return;
     const c = document.createElement("span");
     c.className = "comment";
-    c.textContent = `{ ${node.comment} }`;
+    c.textContent = `{ ${txt} }`;
     container.appendChild(c);
   }
 
@@ -245,6 +316,308 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
 
+  /* ======================================================
+   * NAG PALETTE
+   * ====================================================== */
+
+  // One NAG per group on a node; clicking the active one removes it
+  const NAG_GROUPS = [
+    { label: "Move", nags: [3, 1, 5, 6, 2, 4] },
+    { label: "Position", nags: [18, 16, 14, 10, 13, 15, 17, 19] }
+  ];
+
+  function nagGroup(n) {
+    return NAG_GROUPS.find(g => g.nags.includes(n));
+  }
+
+  function toggleNag(node, n) {
+    const g = nagGroup(n);
+    const had = node.nags.includes(n);
+
+    node.nags = node.nags.filter(x => nagGroup(x) !== g);
+    if (!had) node.nags.push(n);
+
+    // move quality first, then the position, then anything imported
+    const rank = x => {
+      const i = NAG_GROUPS.indexOf(nagGroup(x));
+      return i < 0 ? NAG_GROUPS.length : i;
+    };
+    node.nags.sort((a, b) => rank(a) - rank(b));
+  }
+
+  function buildNagPalette() {
+    if (!nagPalette) return;
+
+    for (const g of NAG_GROUPS) {
+      const row = document.createElement("div");
+      row.className = "nagGroup";
+      row.setAttribute("role", "group");
+      row.setAttribute("aria-label", g.label);
+
+      for (const n of g.nags) {
+        const b = document.createElement("button");
+        b.className = "nagBtn";
+        b.dataset.nag = n;
+        b.textContent = PGNCore.NAG_MAP[n];
+        b.title = "$" + n;
+        b.onclick = () => {
+          if (cursor === root) return;
+          record();
+          toggleNag(cursor, n);
+          render();
+        };
+        row.appendChild(b);
+      }
+      nagPalette.appendChild(row);
+    }
+  }
+
+  function updateNagPalette() {
+    if (!nagPalette) return;
+    nagPalette.querySelectorAll(".nagBtn").forEach(b => {
+      b.disabled = cursor === root;
+      b.setAttribute("aria-pressed", String(cursor.nags.includes(+b.dataset.nag)));
+    });
+  }
+
+  buildNagPalette();
+
+
+  /* ======================================================
+   * PGN EXPORT
+   * ====================================================== */
+
+  const ROSTER = ["Event","Site","Date","Round","White","Black","Result"];
+  const ROSTER_DEFAULTS = { Date:"????.??.??", Result:"*" };
+  const PGN_WIDTH = 80;
+
+  let gameHeaders = {};
+
+  function fenField(fen, i) {
+    return fen.split(" ")[i];
+  }
+
+  function pgnComment(c) {
+    return "{ " + c.replace(/[{}]/g, "").replace(/\s+/g, " ").trim() + " }";
+  }
+
+  function pgnTagValue(v) {
+    return String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+  }
+
+  function lineTokens(node) {
+    const out = [];
+    let cur = node, interrupted = true;
+
+    while (cur) {
+      const no = +fenField(cur.parent.fen, 5) || 1;
+      const white = fenField(cur.parent.fen, 1) === "w";
+
+      if (white) out.push(no + ".");
+      else if (interrupted) out.push(no + "...");
+      out.push(cur.san);
+      for (const n of cur.nags) out.push("$" + n);
+      interrupted = false;
+
+      if (cur.comment) {
+        out.push(pgnComment(cur.comment));
+        interrupted = true;
+      }
+
+      // siblings of a main continuation are printed right after it
+      if (cur.parent.next === cur) {
+        for (const v of cur.parent.vars) {
+          out.push("(" + lineTokens(v).join(" ") + ")");
+          interrupted = true;
+        }
+      }
+
+      cur = cur.next;
+    }
+
+    return out;
+  }
+
+  function wrapPGN(text) {
+    const lines = [];
+    let line = "";
+
+    // commands like [%clk 1:25:52] are never split across lines
+    for (const word of text.match(/\[%[^\]]*\]|\S+/g) || []) {
+      if (line && line.length + 1 + word.length > PGN_WIDTH) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = line ? line + " " + word : word;
+      }
+    }
+    if (line) lines.push(line);
+
+    return lines.join("\n");
+  }
+
+  function exportPGN() {
+    const h = {};
+    for (const k of ROSTER) h[k] = gameHeaders[k] || ROSTER_DEFAULTS[k] || "?";
+    for (const k in gameHeaders) {
+      if (!(k in h) && k !== "SetUp" && k !== "FEN") h[k] = gameHeaders[k];
+    }
+
+    if (root.fen !== START_FEN) {
+      h.SetUp = "1";
+      h.FEN = root.fen;
+    }
+
+    const tags = Object.keys(h)
+      .map(k => `[${k} "${pgnTagValue(h[k])}"]`)
+      .join("\n");
+
+    const tokens = [];
+    if (root.comment) tokens.push(pgnComment(root.comment));
+    if (root.next) tokens.push(...lineTokens(root.next));
+    tokens.push(h.Result);
+
+    return tags + "\n\n" + wrapPGN(tokens.join(" ")) + "\n";
+  }
+
+
+  /* ======================================================
+   * PGN / FEN IMPORT
+   * ====================================================== */
+
+  function importComment(n) {
+    const cmds = Object.keys(n.commands).map(k => `[%${k} ${n.commands[k]}]`);
+    return [...n.comments, ...cmds].join(" ");
+  }
+
+  // Textual evaluations (+/=, -+ …) arrive as glyphs; the tree keeps
+  // them as the NAGs that show the same glyph
+  function glyphNag(g) {
+    return +Object.keys(PGNCore.NAG_MAP).find(n => PGNCore.NAG_MAP[n] === g) || 0;
+  }
+
+  function importLine(parent, line) {
+    let prev = parent;
+
+    for (const n of line) {
+      if (!n.fen) break;
+
+      const node = new Node(n.san, prev, n.fen);
+      node.nags = n.nags.slice();
+      n.glyphs.map(glyphNag).forEach(nag => {
+        if (nag && !node.nags.includes(nag)) node.nags.push(nag);
+      });
+      node.comment = [n.commentBefore, importComment(n)].filter(Boolean).join(" ");
+
+      if (!prev.next) prev.next = node;
+      else prev.vars.push(node);
+
+      for (const v of n.variations) importLine(prev, v);
+      prev = node;
+    }
+  }
+
+  const CORNERS = { K:["e1","h1"], Q:["e1","a1"], k:["e8","h8"], q:["e8","a8"] };
+
+  // Castling rights standard chess can honour: king and rook at home
+  function standardCastling(g, field) {
+    return [...field.replace("-", "")].every(c => {
+      const sq = CORNERS[c];
+      if (!sq) return false;
+      const color = c === c.toUpperCase() ? "w" : "b";
+      const k = g.get(sq[0]), r = g.get(sq[1]);
+      return k && k.type === "k" && k.color === color && r && r.type === "r" && r.color === color;
+    });
+  }
+
+  // A lone FEN as standard chess, or as Chess960 when its castling
+  // rights (Shredder-FEN, or X-FEN away from the corners) need it
+  function readFen(src) {
+    if (src.includes("\n")) return null;
+
+    const std = PGNCore.createGame("standard");
+    if (std.load(src) && standardCastling(std, src.split(/\s+/)[2] || "-")) {
+      return { game: null, chess: std, variant: "standard" };
+    }
+
+    const c960 = PGNCore.createGame("chess960");
+    return c960.load(src) ? { game: null, chess: c960, variant: "chess960" } : null;
+  }
+
+  // Parses a PGN game or FEN into { game, chess, variant }, or null
+  function readGame(src, quiet) {
+    src = String(src || "").trim();
+    if (!src) return null;
+
+    const lone = readFen(src);
+    if (lone) return lone;
+
+    const game = PGNCore.parseGames(src)[0];
+    if (game && game.error) {
+      if (!quiet) alert(game.error);
+      return null;
+    }
+    const hasMoves = game && game.moves.length && game.moves[0].fen;
+    if (!hasMoves && !(game && Object.keys(game.headers).length)) return null;
+
+    const next = PGNCore.createGame(game.variant);
+    if (!next.load(game.fen)) return null;
+    return { game, chess: next, variant: game.variant };
+  }
+
+  function loadGame(src) {
+    const read = readGame(src);
+    if (!read) return false;
+
+    if (root.next && !confirm("Replace the current analysis?")) return false;
+
+    record();
+    setGame(read);
+    rebuildTo(root, false);
+    render();
+    updateWidgetState();
+    return true;
+  }
+
+  // Replaces the tree with a game from readGame(); the caller redraws
+  function setGame({ game, chess: next, variant: v }) {
+    variant = v;
+    chess = next;
+    root = new Node(null, null, chess.fen());
+    gameHeaders = v === "chess960" ? { Variant: "Chess960" } : {};
+
+    if (game) {
+      gameHeaders = { ...game.headers };
+      if (game.result) gameHeaders.Result = game.result;
+
+      const first = game.moves[0];
+      root.comment = game.comment || (first && first.commentBefore) || "";
+      if (first) first.commentBefore = "";
+
+      importLine(root, game.moves);
+    }
+
+    cursor = root;
+  }
+
+  document.addEventListener("paste", e => {
+    if (["INPUT","TEXTAREA"].includes(e.target.tagName)) return;
+    const txt = e.clipboardData && e.clipboardData.getData("text");
+    if (txt && loadGame(txt)) e.preventDefault();
+  });
+
+  document.addEventListener("dragover", e => {
+    if (e.dataTransfer && [...e.dataTransfer.types].includes("Files")) e.preventDefault();
+  });
+
+  document.addEventListener("drop", e => {
+    const file = e.dataTransfer && e.dataTransfer.files[0];
+    if (!file) return;
+    e.preventDefault();
+    file.text().then(loadGame);
+  });
+
+
   /* ======================================================
    * NAVIGATION + KEYBOARD
    * ====================================================== */
@@ -261,6 +634,14 @@ document.addEventListener("DOMContentLoaded", () => {
 
   document.addEventListener("keydown", e => {
     if (["INPUT","TEXTAREA"].includes(e.target.tagName)) return;
+
+    const key = e.key.toLowerCase();
+    if ((e.ctrlKey || e.metaKey) && (key === "z" || key === "y")) {
+      e.preventDefault();
+      if (key === "y" || e.shiftKey) redo();
+      else undo();
+      return;
+    }
     if (e.key==="ArrowLeft")  goPrev();
     if (e.key==="ArrowRight") goNext();
     if (e.key==="ArrowUp")    goStart();
@@ -275,10 +656,728 @@ document.addEventListener("DOMContentLoaded", () => {
   btnFlip.onclick = () => {
     boardOrientation = boardOrientation === "white" ? "black" : "white";
     board.orientation(boardOrientation);
+    drawShapes(cursor);
     localStorage.setItem("boardOrientation", boardOrientation);
   };
 
 
+  /* ======================================================
+   * POSITION SETUP
+   * ====================================================== */
+
+  const setup = document.getElementById("setup");
+  const setupTurn = document.getElementById("setupTurn");
+  const setupEp = document.getElementById("setupEp");
+  const setupHalf = document.getElementById("setupHalf");
+  const setupFull = document.getElementById("setupFull");
+  const setupError = document.getElementById("setupError");
+  const castleBoxes = setup ? [...setup.querySelectorAll("#setupCastling input")] : [];
+
+  // Squares the king and rook must stand on for each castling right
+  const CASTLE_SQUARES = {
+    K: ["wK", "e1", "h1"], Q: ["wK", "e1", "a1"],
+    k: ["bK", "e8", "h8"], q: ["bK", "e8", "a8"]
+  };
+
+  let setupBoard = null;
+
+  // The board is created on first open: chessboard.js sizes itself
+  // from its container, which has no width while the dialog is hidden
+  function openSetup() {
+    const f = cursor.fen.split(" ");
+    setup.style.display = "flex";
+
+    if (!setupBoard) {
+      setupBoard = Chessboard("setupBoard", {
+        draggable: true,
+        sparePieces: true,
+        dropOffBoard: "trash",
+        pieceTheme: "https://chessboardjs.com/img/chesspieces/wikipedia/{piece}.png",
+        onChange: (oldPos, newPos) => updateCastling(newPos)
+      });
+    }
+    setupBoard.orientation(boardOrientation);
+    setupBoard.position(f[0], false);
+    setupBoard.resize();
+
+    setupTurn.value = f[1];
+    for (const b of castleBoxes) b.checked = f[2].includes(b.value);
+    setupEp.value = f[3] === "-" ? "" : f[3];
+    setupHalf.value = f[4] || 0;
+    setupFull.value = f[5] || 1;
+    setupError.textContent = "";
+    updateCastling(setupBoard.position());
+  }
+
+  function closeSetup() {
+    setup.style.display = "none";
+  }
+
+  function updateCastling(pos) {
+    for (const b of castleBoxes) {
+      const [king, kSq, rSq] = CASTLE_SQUARES[b.value];
+      b.disabled = pos[kSq] !== king || pos[rSq] !== king[0] + "R";
+      if (b.disabled) b.checked = false;
+    }
+  }
+
+  function setupFen() {
+    const castling = castleBoxes.filter(b => b.checked).map(b => b.value).join("");
+    return [
+      setupBoard.fen(),
+      setupTurn.value,
+      castling || "-",
+      setupEp.value.trim().toLowerCase() || "-",
+      setupHalf.value || 0,
+      setupFull.value || 1
+    ].join(" ");
+  }
+
+  // Returns an error message, or "" for a position that can be analysed
+  function checkSetup(fen) {
+    const pos = setupBoard.position();
+    const pieces = Object.keys(pos).map(sq => pos[sq]);
+    const count = p => pieces.filter(x => x === p).length;
+
+    if (count("wK") !== 1 || count("bK") !== 1) return "Each side needs exactly one king.";
+    if (Object.keys(pos).some(sq => pos[sq][1] === "P" && /[18]/.test(sq[1]))) {
+      return "Pawns cannot stand on the first or last rank.";
+    }
+
+    const v = new Chess().validate_fen(fen);
+    if (!v.valid) return v.error;
+
+    const [, turn, , ep] = fen.split(" ");
+    if (ep !== "-") {
+      const dir = turn === "w" ? -1 : 1;
+      const pawn = (turn === "w" ? "b" : "w") + "P";
+      if (pos[ep[0] + (+ep[1] + dir)] !== pawn || pos[ep]) {
+        return `No pawn can have just passed ${ep}.`;
+      }
+    }
+
+    const other = fen.replace(/ [wb] (\S+) \S+/, (m, c) => ` ${turn === "w" ? "b" : "w"} ${c} -`);
+    const t = new Chess();
+    if (t.load(other) && t.in_check()) return "The side not to move is in check.";
+
+    return "";
+  }
+
+  if (setup) {
+    btnSetup.onclick = openSetup;
+
+    document.getElementById("setupStart").onclick = () => {
+      setupBoard.start(false);
+      for (const b of castleBoxes) b.checked = true;
+      updateCastling(setupBoard.position());
+      setupTurn.value = "w";
+      setupEp.value = "";
+      setupHalf.value = 0;
+      setupFull.value = 1;
+    };
+
+    document.getElementById("setupClear").onclick = () => setupBoard.clear(false);
+    document.getElementById("setupCancel").onclick = closeSetup;
+
+    document.getElementById("setupOk").onclick = () => {
+      const fen = setupFen();
+      const err = checkSetup(fen);
+      setupError.textContent = err;
+      if (err) return;
+      newSession(fen);
+      closeSetup();
+    };
+  }
+
+
+  /* ======================================================
+   * SAVED ANALYSES
+   * ====================================================== */
+
+  // Each analysis is kept as PGN plus the path to the current move
+  // (0 = main continuation, k = k-th variation), saved on every redraw.
+  const sessionList = document.getElementById("sessions");
+  const SAVE_DELAY = 500;
+
+  let sessions = [];
+  let current = null;
+  let saveTimer = null;
+  let saveWarned = false;
+
+  try {
+    sessions = JSON.parse(localStorage.getItem("analyses")) || [];
+  } catch (e) {
+    sessions = [];
+  }
+
+  function nodePath(node) {
+    const path = [];
+    for (let n = node; n.parent; n = n.parent) {
+      const p = n.parent;
+      path.unshift(p.next === n ? 0 : p.vars.indexOf(n) + 1);
+    }
+    return path;
+  }
+
+  function nodeAt(path) {
+    let n = root;
+    for (const i of path || []) {
+      const c = i ? n.vars[i - 1] : n.next;
+      if (!c) break;
+      n = c;
+    }
+    return n;
+  }
+
+  // Storage can be full or blocked; say so once and keep working
+  function storeSessions() {
+    try {
+      localStorage.setItem("analyses", JSON.stringify(sessions));
+      localStorage.setItem("currentAnalysis", current ? current.id : "");
+    } catch (e) {
+      if (saveWarned) return;
+      saveWarned = true;
+      alert("Your analyses could not be saved in this browser. Use Export all to keep a copy.");
+    }
+  }
+
+  function saveSession() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!current) return;
+    current.pgn = exportPGN();
+    current.path = nodePath(cursor);
+    current.updated = Date.now();
+    storeSessions();
+  }
+
+  function scheduleSave() {
+    if (!current || saveTimer) return;
+    saveTimer = setTimeout(saveSession, SAVE_DELAY);
+  }
+
+  function openSession(s) {
+    const read = s.pgn && readGame(s.pgn, true);
+    if (read) setGame(read);
+    else setGame({ game: null, chess: PGNCore.createGame("standard"), variant: "standard" });
+
+    cancelAnnotation();
+    current = s;
+    cursor = nodeAt(s.path);
+    undoStack.length = redoStack.length = 0;
+    rebuildTo(cursor, false);
+    render();
+    updateWidgetState();
+    renderSessions();
+  }
+
+  function switchSession(s) {
+    if (s === current) return;
+    saveSession();
+    openSession(s);
+    storeSessions();
+  }
+
+  function uniqueName(base) {
+    const names = new Set(sessions.map(s => s.name));
+    if (!names.has(base)) return base;
+    let i = 2;
+    while (names.has(`${base} ${i}`)) i++;
+    return `${base} ${i}`;
+  }
+
+  function addSession(name, pgn, path) {
+    const id = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    const s = { id, name, pgn, path: path || [] };
+    sessions.push(s);
+    return s;
+  }
+
+  // A blank analysis, or one starting from the given FEN
+  function newSession(fen) {
+    saveSession();
+    openSession(addSession(uniqueName("Analysis"), fen || ""));
+    storeSessions();
+  }
+
+  function duplicateSession() {
+    saveSession();
+    openSession(addSession(uniqueName(current.name + " (copy)"), current.pgn, current.path));
+    storeSessions();
+  }
+
+  function renameSession() {
+    const name = (prompt("Name this analysis:", current.name) || "").trim();
+    if (!name || name === current.name) return;
+    current.name = name;
+    storeSessions();
+    renderSessions();
+  }
+
+  function deleteSession() {
+    if (!confirm(`Delete "${current.name}"?`)) return;
+    clearTimeout(saveTimer);
+    saveTimer = null;
+
+    const i = sessions.indexOf(current);
+    sessions.splice(i, 1);
+    current = null;
+    if (!sessions.length) addSession("Analysis", "");
+    openSession(sessions[Math.min(i, sessions.length - 1)]);
+    storeSessions();
+  }
+
+  function exportSessions() {
+    saveSession();
+    const pgn = sessions.filter(s => s.pgn).map(s => s.pgn).join("\n");
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(new Blob([pgn], { type: "application/x-chess-pgn" }));
+    a.download = "analyses.pgn";
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
+  }
+
+  function renderSessions() {
+    if (!sessionList) return;
+    sessionList.innerHTML = "";
+
+    for (const s of sessions) {
+      const li = document.createElement("li");
+      const b = document.createElement("button");
+      b.className = "session";
+      b.textContent = s.name;
+      if (s === current) b.setAttribute("aria-current", "true");
+      b.onclick = () => switchSession(s);
+      li.appendChild(b);
+      sessionList.appendChild(li);
+    }
+  }
+
+  const sessionActions = {
+    btnSessionNew: () => newSession(),
+    btnSessionRename: renameSession,
+    btnSessionCopy: duplicateSession,
+    btnSessionDelete: deleteSession,
+    btnSessionExport: exportSessions
+  };
+  for (const id in sessionActions) {
+    const b = document.getElementById(id);
+    if (b) b.onclick = sessionActions[id];
+  }
+
+  // Flush pending edits before the page goes away
+  window.addEventListener("pagehide", saveSession);
+
+
+  /* ======================================================
+   * OPENING BOOK: EXPLORER + ECO NAME
+   * ====================================================== */
+
+  let explorerOpen = localStorage.getItem("explorerOpen") === "1";
+  let book = null, bookState = "idle";
+
+  function ensureBook() {
+    if (bookState !== "idle") return;
+    bookState = "loading";
+    PGNCore.loadBook(explorerDiv?.dataset.book || PGNCore.BOOK_URL)
+      .then(b => { book = b; bookState = "ready"; })
+      .catch(() => { bookState = "failed"; })
+      .then(() => { updateExplorer(); updateOpening(cursor); });
+  }
+
+  // ECO code and name of the deepest book position on the way to `node`
+  function updateOpening(node) {
+    if (!openingEl) return;
+    if (!book) {
+      openingEl.textContent = "";
+      return ensureBook();
+    }
+
+    const path = [];
+    for (let n = node; n; n = n.parent) path.unshift(n);
+    openingEl.textContent = variant === "standard"
+      ? PGNCore.formatOpening(PGNCore.classify(book, path))
+      : "";
+  }
+
+  function setExplorerOpen(open) {
+    explorerOpen = open;
+    btnExplorer.setAttribute("aria-expanded", String(open));
+    explorerDiv.parentNode.hidden = !open;
+    localStorage.setItem("explorerOpen", open ? "1" : "0");
+    updateExplorer();
+  }
+
+  function explorerMessage(msg) {
+    explorerDiv.innerHTML = "";
+    const p = document.createElement("div");
+    p.className = "explorerEmpty";
+    p.textContent = msg;
+    explorerDiv.appendChild(p);
+  }
+
+  function updateExplorer() {
+    if (!explorerDiv || !explorerOpen) return;
+
+    if (variant !== "standard") return explorerMessage("No book for " + variant + ".");
+
+    if (!book) {
+      explorerMessage(bookState === "failed"
+        ? "Opening book unavailable."
+        : "Loading opening book…");
+      return ensureBook();
+    }
+
+    const moves = PGNCore.bookMoves(book, chess.fen());
+    if (!moves.length) return explorerMessage("Out of book.");
+
+    explorerDiv.innerHTML = "";
+    for (const m of moves) {
+      const pct = Math.round(m.share * 100);
+
+      const row = document.createElement("button");
+      row.className = "explorerMove";
+      row.title = `${m.eco} ${m.name}`;
+      row.innerHTML = `
+        <span class="explorerSan"></span>
+        <span class="explorerName"></span>
+        <span class="explorerFreq">${pct}%</span>
+        <span class="explorerBar" style="width:${pct}%"></span>`;
+      row.querySelector(".explorerSan").textContent = figSAN(m.san);
+      row.querySelector(".explorerName").textContent = `${m.eco} ${m.name}`;
+
+      row.onclick = () => {
+        const t = scratchGame();
+        const mv = t.move(m.san);
+        if (mv) applyMove(mv.san, t.fen());
+      };
+      explorerDiv.appendChild(row);
+    }
+  }
+
+  if (btnExplorer) {
+    btnExplorer.onclick = () => setExplorerOpen(!explorerOpen);
+    setExplorerOpen(explorerOpen);
+  }
+
+
+  /* ======================================================
+   * ENGINE (UCI, WebAssembly, in a Web Worker)
+   * ====================================================== */
+
+  const ENGINE_LINES = 3;
+  const ENGINE_DEPTH = 22;
+
+  let engine = null, engineError = "";
+  let engineReady = false;
+  let engineOn = localStorage.getItem("engineOn") === "1";
+  let engineFrame = 0;
+
+  function engineFailed(msg) {
+    if (engine) engine.quit();
+    engine = null;
+    engineError = msg;
+    engineMessage(msg);
+  }
+
+  // Started on demand and thrown away when switched off, so an idle
+  // analysis board costs nothing
+  function getEngine() {
+    if (engineError) {
+      engineMessage(engineError);
+      return null;
+    }
+    if (!engine) {
+      try {
+        engine = new PGNCore.Engine(engineDiv.dataset.engine);
+        engine.onerror = () => engineFailed(
+          "Engine unavailable: " + engineDiv.dataset.engine + " could not be loaded."
+        );
+      } catch {
+        engineFailed("Engine unavailable: this browser cannot run it.");
+      }
+    }
+    return engine;
+  }
+
+  function setEngineOn(on) {
+    engineOn = on;
+    btnEngine.setAttribute("aria-expanded", String(on));
+    engineDiv.parentNode.hidden = !on;
+    localStorage.setItem("engineOn", on ? "1" : "0");
+
+    if (!on && engine) {
+      engine.quit();
+      engine = null;
+    }
+    engineError = "";
+    updateEngine();
+  }
+
+  function engineMessage(msg) {
+    engineDiv.innerHTML = "";
+    const p = document.createElement("div");
+    p.className = "engineEmpty";
+    p.textContent = msg;
+    engineDiv.appendChild(p);
+  }
+
+  function updateEngine() {
+    if (!engineDiv || !engineOn) return;
+
+    if (chess.game_over()) {
+      if (engine) engine.stop();
+      return engineMessage(chess.in_checkmate() ? "Checkmate." : "Game over.");
+    }
+
+    const e = getEngine();
+    if (!e) return;
+
+    const fen = chess.fen();
+    engineMessage("Analysing…");
+    e.go(fen, { multipv: ENGINE_LINES, depth: ENGINE_DEPTH, chess960: variant === "chess960" }, (lines, info) => {
+      cancelAnimationFrame(engineFrame);
+      engineFrame = requestAnimationFrame(() => renderEngine(fen, lines, info.depth));
+    });
+  }
+
+  function renderEngine(fen, lines, depth) {
+    if (fen !== chess.fen()) return;
+
+    const turn = fenField(fen, 1);
+    const no = +fenField(fen, 5) || 1;
+
+    engineDiv.innerHTML = "";
+
+    const d = document.createElement("div");
+    d.className = "engineDepth";
+    d.textContent = "Depth " + depth;
+    engineDiv.appendChild(d);
+
+    for (const info of lines) {
+      if (!info) continue;
+      const sans = PGNCore.uciToSan(fen, info.pv, variant);
+
+      const row = document.createElement("div");
+      row.className = "engineLine";
+
+      const ev = document.createElement("span");
+      ev.className = "engineEval";
+      ev.textContent = PGNCore.formatEval(PGNCore.uciEval(info, turn));
+      row.appendChild(ev);
+
+      sans.forEach((san, i) => {
+        const white = (turn === "w") === (i % 2 === 0);
+        const moveNo = no + Math.floor((i + (turn === "b" ? 1 : 0)) / 2);
+        if (white) row.appendChild(text(moveNo + ".\u00A0"));
+        else if (i === 0) row.appendChild(text(moveNo + "...\u00A0"));
+
+        const m = document.createElement("span");
+        m.className = "engineMove";
+        m.textContent = figSAN(san);
+        m.title = "Insert this line up to here";
+        m.onclick = () => insertLine(sans.slice(0, i + 1));
+        row.appendChild(m);
+        row.appendChild(text(" "));
+      });
+
+      engineDiv.appendChild(row);
+    }
+  }
+
+  // Plays `sans` from the cursor, reusing moves already in the tree
+  function insertLine(sans) {
+    const t = scratchGame();
+    const before = snapshot();
+    let changed = false;
+
+    for (const san of sans) {
+      const m = t.move(san);
+      if (!m) break;
+
+      let n = [cursor.next, ...cursor.vars].find(c => c && c.san === m.san);
+      if (!n) {
+        n = new Node(m.san, cursor, t.fen());
+        if (!cursor.next) cursor.next = n;
+        else cursor.vars.push(n);
+        changed = true;
+      }
+      cursor = n;
+    }
+
+    if (changed) record(before);
+    rebuildTo(cursor, true);
+    render();
+    updateWidgetState();
+  }
+
+  // The card stays hidden on sites without an engine build
+  if (btnEngine) {
+    PGNCore.engineAvailable(engineDiv.dataset.engine).then(ok => {
+      if (!ok) return;
+      engineReady = true;
+      updateWidgetState();
+      btnEngine.onclick = () => setEngineOn(!engineOn);
+      setEngineOn(engineOn);
+      engineDiv.closest(".engineCard").hidden = false;
+    });
+  }
+
+
+  /* ======================================================
+   * ANNOTATE GAME
+   * ====================================================== */
+
+  const ANNOTATE_DEPTH = 14;
+  const ANNOTATE_PV = 8;
+
+  // Centipawn loss thresholds, as Lichess used them
+  const JUDGEMENTS = [
+    { loss: 300, nag: 4, text: "Blunder" },
+    { loss: 100, nag: 2, text: "Mistake" },
+    { loss: 50,  nag: 6, text: "Inaccuracy" }
+  ];
+
+  let annotating = null;
+
+  // White's advantage in centipawns, mates counted as ±1000
+  function whiteCp(ev) {
+    if (ev.mate !== null) return ev.white ? 1000 : -1000;
+    return Math.max(-1000, Math.min(1000, Math.round(ev.pawns * 100)));
+  }
+
+  // [%eval] values as Lichess writes them: "0.17", "-1.05", "#-3"
+  function evalCommand(ev) {
+    if (ev.mate !== null) return "#" + (ev.white ? "" : "-") + ev.mate;
+    return ev.pawns.toFixed(2);
+  }
+
+  // { ev, best } for a position, or { ev } without a best move when
+  // the game is over there
+  function analysePosition(e, fen) {
+    const g = PGNCore.createGame(variant);
+    g.load(fen);
+
+    if (g.in_checkmate()) {
+      return Promise.resolve({ ev: { mate: 0, white: g.turn() === "b", pawns: null } });
+    }
+    if (g.game_over()) {
+      return Promise.resolve({ ev: { mate: null, white: true, pawns: 0 } });
+    }
+
+    return e.go(fen, { depth: ANNOTATE_DEPTH, chess960: variant === "chess960" }).then(res => {
+      const info = res && res.lines[0];
+      if (!info) throw new Error("No engine output for " + fen);
+      return {
+        ev: PGNCore.uciEval(info, g.turn()),
+        best: PGNCore.uciToSan(fen, info.pv.slice(0, ANNOTATE_PV), variant)
+      };
+    });
+  }
+
+  // The best line as a variation beside `node`, unless it is already there
+  function addBestLine(node, sans) {
+    const p = node.parent;
+    if ([p.next, ...p.vars].some(n => n && n.san === sans[0])) return;
+
+    const t = PGNCore.createGame(variant);
+    t.load(p.fen);
+
+    let prev = p, first = null;
+    for (const san of sans) {
+      const m = t.move(san);
+      if (!m) break;
+
+      const n = new Node(m.san, prev, t.fen());
+      if (first) prev.next = n;
+      else first = n;
+      prev = n;
+    }
+    if (first) p.vars.push(first);
+  }
+
+  function annotateNode(node, before, after) {
+    const mover = fenField(node.parent.fen, 1) === "w" ? 1 : -1;
+    const loss = (whiteCp(before.ev) - whiteCp(after.ev)) * mover;
+    const played = before.best && before.best[0] === node.san;
+
+    // Drop what an earlier run wrote, so annotating twice changes nothing
+    const comment = (node.comment || "")
+      .replace(/\[%eval\s[^\]]*\]\s*/g, "")
+      .replace(/\b(Blunder|Mistake|Inaccuracy)\. \S+ was best\.\s*/g, "")
+      .trim();
+    const parts = [];
+    if (after.ev.mate !== 0) parts.push(`[%eval ${evalCommand(after.ev)}]`);
+
+    node.nags = node.nags.filter(n => n > 6);
+    const j = !played && JUDGEMENTS.find(j => loss >= j.loss);
+    if (j) {
+      node.nags.unshift(j.nag);
+      parts.push(`${j.text}. ${before.best[0]} was best.`);
+      addBestLine(node, before.best);
+    }
+
+    node.comment = [comment, ...parts].filter(Boolean).join(" ");
+  }
+
+  // Evaluates every mainline position with a dedicated engine and
+  // annotates each move; `progress(done, total)` is called as it goes.
+  // Resolves false when stopped, or when another analysis (or game)
+  // replaced the tree it started on.
+  function annotateGame(progress) {
+    const line = [];
+    for (let n = root.next; n; n = n.next) line.push(n);
+    if (!line.length) return Promise.resolve(false);
+
+    const e = new PGNCore.Engine(engineDiv.dataset.engine);
+    annotating = e;
+
+    const session = current && current.id, start = root;
+    const stale = () =>
+      annotating !== e || root !== start || (current && current.id) !== session;
+
+    const failed = new Promise((_, reject) => {
+      e.onerror = () => reject(new Error("Engine unavailable: " + engineDiv.dataset.engine));
+    });
+
+    const evals = [];
+    let chain = Promise.resolve();
+    [root, ...line].forEach((n, i) => {
+      chain = chain.then(() => {
+        if (stale()) throw new Error("cancelled");
+        return analysePosition(e, n.fen);
+      }).then(r => {
+        evals[i] = r;
+        progress(i + 1, line.length + 1);
+      });
+    });
+
+    return Promise.race([chain, failed])
+      .then(() => {
+        if (stale()) return false;
+        record();
+        line.forEach((n, i) => annotateNode(n, evals[i], evals[i + 1]));
+        rebuildTo(cursor, false);
+        render();
+        return true;
+      }, err => {
+        if (stale()) return false;
+        throw err;
+      })
+      .finally(() => {
+        e.quit();
+        if (annotating === e) annotating = null;
+      });
+  }
+
+  function cancelAnnotation() {
+    if (annotating) annotating.quit();
+    annotating = null;
+  }
+
+
   /* ======================================================
    * ================= WIDGET BUTTONS =====================
    * ====================================================== */
@@ -324,15 +1423,21 @@ document.addEventListener("DOMContentLoaded", () => {
     const comBtn = makeBtn("➕","Add comment");
     const proBtn = makeBtn("⬆️","Promote variation");
     const delBtn = makeBtn("🗑️","Delete variation");
-    const undoBtn= makeBtn("↶","Undo");
+    const truncBtn = makeBtn("✂️","Delete remaining moves");
+    const undoBtn= makeBtn("↶","Undo (Ctrl+Z)");
+    const redoBtn= makeBtn("↷","Redo (Ctrl+Y)");
+    const impBtn = makeBtn("📥","Import PGN / FEN");
+    const annBtn = makeBtn("🔍","Annotate game");
 
     proBtn.wrap.style.display = "none";
     delBtn.wrap.style.display = "none";
+    truncBtn.wrap.style.display = "none";
     undoBtn.wrap.style.display= "none";
+    redoBtn.wrap.style.display= "none";
 
     widgetContainer.append(
-      fenBtn.wrap,pgnBtn.wrap,comBtn.wrap,
-      proBtn.wrap,delBtn.wrap,undoBtn.wrap
+      fenBtn.wrap,pgnBtn.wrap,impBtn.wrap,comBtn.wrap,annBtn.wrap,
+      proBtn.wrap,delBtn.wrap,truncBtn.wrap,undoBtn.wrap,redoBtn.wrap
     );
 
     /* ---------- COMMENT MODAL ---------- */
@@ -354,7 +1459,24 @@ document.addEventListener("DOMContentLoaded", () => {
     const cBox = modal.querySelector("#jc-cmt");
     const cOk  = modal.querySelector("#jc-cmt-ok");
 
-    let undoAction = null;
+    /* ---------- IMPORT MODAL ---------- */
+
+    const impModal = document.createElement("div");
+    impModal.style.cssText = modal.style.cssText;
+    impModal.innerHTML = `
+      <div style="background:#161a24;padding:16px;border-radius:12px;width:420px">
+        <textarea id="jc-imp" placeholder="Paste PGN or FEN"
+          style="width:100%;min-height:160px"></textarea>
+        <div style="display:flex;gap:8px;align-items:center;margin-top:8px">
+          <input id="jc-imp-file" type="file" accept=".pgn,.fen,.txt" style="flex:1">
+          <button id="jc-imp-cancel">Cancel</button>
+          <button id="jc-imp-ok">Load</button>
+        </div>
+      </div>`;
+    document.body.appendChild(impModal);
+
+    const iBox  = impModal.querySelector("#jc-imp");
+    const iFile = impModal.querySelector("#jc-imp-file");
 
     function isVariation(n){ return n && n.parent && n.parent.next !== n; }
 
@@ -362,6 +1484,10 @@ document.addEventListener("DOMContentLoaded", () => {
       const v = isVariation(cursor);
       proBtn.wrap.style.display = v ? "" : "none";
       delBtn.wrap.style.display = v ? "" : "none";
+      truncBtn.wrap.style.display = cursor.next ? "" : "none";
+      undoBtn.wrap.style.display = undoStack.length ? "" : "none";
+      redoBtn.wrap.style.display = redoStack.length ? "" : "none";
+      annBtn.wrap.style.display = engineReady ? "" : "none";
     }
 
     fenBtn.b.onclick = () => {
@@ -372,53 +1498,96 @@ document.addEventListener("DOMContentLoaded", () => {
     };
 
     pgnBtn.b.onclick = () => {
-      navigator.clipboard.writeText(movesDiv.innerText.trim());
+      navigator.clipboard.writeText(exportPGN());
       showCheck(pgnBtn.check);
     };
 
+    impBtn.b.onclick = () => {
+      iBox.value = "";
+      iFile.value = "";
+      impModal.style.display = "flex";
+      iBox.focus();
+    };
+
+    iFile.onchange = () => {
+      const f = iFile.files[0];
+      if (f) f.text().then(t => { iBox.value = t; });
+    };
+
+    impModal.querySelector("#jc-imp-cancel").onclick = () => {
+      impModal.style.display = "none";
+    };
+
+    impModal.querySelector("#jc-imp-ok").onclick = () => {
+      if (loadGame(iBox.value)) impModal.style.display = "none";
+      else alert("Could not read a PGN game or FEN position.");
+    };
+
+    // A second click while it runs stops the annotation
+    annBtn.b.onclick = () => {
+      if (annotating) {
+        cancelAnnotation();
+        return;
+      }
+
+      annBtn.b.textContent = "⏳";
+      annBtn.b.title = "Stop annotating";
+
+      annotateGame((done, total) => { annBtn.b.textContent = `${done}/${total}`; })
+        .then(ok => {
+          if (!ok) return;
+          updateWidgetState();
+          showCheck(annBtn.check);
+        })
+        .catch(err => alert(err.message))
+        .finally(() => {
+          annBtn.b.textContent = "🔍";
+          annBtn.b.title = "Annotate game";
+        });
+    };
+
     comBtn.b.onclick = () => {
       if (!cursor || cursor===root) return;
       cBox.value = cursor.comment || "";
       modal.style.display="flex";
       cOk.onclick = () => {
-        cursor.comment = cBox.value.trim();
+        const c = cBox.value.trim();
+        if (c !== (cursor.comment || "")) record();
+        cursor.comment = c;
         modal.style.display="none";
+        drawShapes(cursor);
         render();
       };
     };
 
     proBtn.b.onclick = () => {
+      record();
       const p = cursor.parent, old = p.next;
-      undoAction = { type:"promote", p, old, n:cursor };
-      undoBtn.wrap.style.display="";
       p.vars = p.vars.filter(v=>v!==cursor);
       if (old) p.vars.unshift(old);
       p.next = cursor;
-      rebuildTo(cursor,true); render();
+      rebuildTo(cursor,true); render(); updateWidgetState();
     };
 
     delBtn.b.onclick = () => {
+      record();
       const p = cursor.parent;
-      undoAction = { type:"delete", p, n:cursor };
-      undoBtn.wrap.style.display="";
       p.vars = p.vars.filter(v=>v!==cursor);
       cursor = p;
-      rebuildTo(cursor,true); render();
+      rebuildTo(cursor,true); render(); updateWidgetState();
     };
 
-    undoBtn.b.onclick = () => {
-      if (!undoAction) return;
-      if (undoAction.type==="promote") {
-        undoAction.p.next = undoAction.old;
-        undoAction.p.vars.unshift(undoAction.n);
-      } else {
-        undoAction.p.vars.push(undoAction.n);
-        cursor = undoAction.n;
-      }
-      undoAction=null;
-      undoBtn.wrap.style.display="none";
-      rebuildTo(cursor,true); render();
+    // Cuts the tree after the current move, variations included
+    truncBtn.b.onclick = () => {
+      if (!cursor.next) return;
+      record();
+      cursor.next = null;
+      cursor.vars = [];
+      render(); updateWidgetState();
     };
+
+    undoBtn.b.onclick = undo;
+    redoBtn.b.onclick = redo;
   }
 
 
@@ -426,7 +1595,9 @@ document.addEventListener("DOMContentLoaded", () => {
    * INIT
    * ====================================================== */
 
-  render();
-  rebuildTo(root,false);
+  if (!sessions.length) addSession("Analysis", "");
+  const saved = localStorage.getItem("currentAnalysis");
+  openSession(sessions.find(s => s.id === saved) || sessions[0]);
+  storeSessions();
 
 });
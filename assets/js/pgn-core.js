@@ -9,6 +9,16 @@ const t = e.PGNCore = e.PGNCore || {};
 
 t.PIECE_THEME_URL = "https://chessboardjs.com/img/chesspieces/wikipedia/{piece}.png";
 
+// The bundled ECO book, next to wherever this script is served from
+const SELF = typeof document !== "undefined" && document.currentScript;
+t.BOOK_URL = SELF && SELF.src ? new URL("../book/eco.json", SELF.src).href : "/assets/book/eco.json";
+
+// Where sites put their Stockfish.js build (see the analysis app). Workers
+// only load same-origin scripts, so a copy of this file served from another
+// site looks for the build on the page's own site instead.
+const NEAR_ENGINE = SELF && SELF.src && new URL("../engine/stockfish.js", SELF.src);
+t.ENGINE_URL = NEAR_ENGINE && NEAR_ENGINE.origin === location.origin ? NEAR_ENGINE.href : "/assets/engine/stockfish.js";
+
 t.SAN_CORE_REGEX =
 /^([O0]-[O0](-[O0])?[+#]?|[KQRBN]?[a-h]?[1-8]?x?[a-h][1-8](=[QRBN])?[+#]?|[a-h][1-8](=[QRBN])?[+#]?)$/;
 
@@ -52,13 +62,14 @@ t.mobileEnsureVisible = function(wrapperEl, listEl, focusEl){
 
 // ------------------------------------------------------------------
 
+// Standard PGN NAG numbers, as Lichess and ChessBase write them, plus
+// the older glyphs for numbers the standard set leaves out
 t.NAG_MAP = Object.freeze({
-  1:"!",2:"?",3:"‼",4:"⁇",5:"⁉",6:"⁈",
-  13:"→",14:"↑",15:"⇆",16:"⇄",17:"⟂",
-  18:"∞",19:"⟳",20:"⟲",
-  36:"⩲",37:"⩱",38:"±",39:"∓",
-  40:"+=",41:"=+",42:"±",43:"∓",
-  44:"⨀",45:"⨁"
+  1:"!",2:"?",3:"‼",4:"⁇",5:"⁉",6:"⁈",7:"□",
+  10:"=",13:"∞",14:"⩲",15:"⩱",16:"±",17:"∓",18:"+−",19:"−+",20:"⟲",
+  22:"⨀",23:"⨀",32:"⟳",33:"⟳",36:"↑",37:"↑",38:"±",39:"∓",
+  40:"→",41:"→",42:"±",43:"∓",44:"⯹",45:"⯹",
+  132:"⇆",133:"⇆",138:"⊕",139:"⊕",140:"∆",146:"N"
 });
 
 t.EVAL_MAP = Object.freeze({
@@ -154,6 +165,53 @@ t.formatPlayer = function(name, elo, title){
   return `${ti ? ti+" " : ""}${n}${e2 ? " ("+e2+")" : ""}`.trim();
 };
 
+// ------------------------------------------------------------------
+// Accessible move names ("12. Knight takes e5")
+// ------------------------------------------------------------------
+
+t.PIECE_NAMES = Object.freeze({
+  K:"King",Q:"Queen",R:"Rook",B:"Bishop",N:"Knight",P:"Pawn"
+});
+
+t.speakSAN = function(san){
+  const s = t.normalizeFigurines(san).replace(/0/g,"O").replace(/[!?]+$/,"");
+  const end = /#$/.test(s) ? " checkmate" : /\+$/.test(s) ? " check" : "";
+
+  if (/^O-O-O/.test(s)) return "castles queenside" + end;
+  if (/^O-O/.test(s)) return "castles kingside" + end;
+
+  const m = s.match(/^([KQRBN])?([a-h]?[1-8]?)(x?)([a-h][1-8])(?:=([QRBN]))?/);
+  if (!m) return s;
+
+  return [
+    m[1] ? t.PIECE_NAMES[m[1]] : "",
+    m[2],
+    m[3] ? "takes" : "",
+    m[4],
+    m[5] ? "promotes to " + t.PIECE_NAMES[m[5]].toLowerCase() : ""
+  ].filter(Boolean).join(" ") + end;
+};
+
+t.speakMove = function(node){
+  const no = node.moveNumber + (node.color === "b" ? "..." : ".");
+  return no + " " + t.speakSAN(node.san);
+};
+
+t.createLiveRegion = function(){
+  const el = document.createElement("div");
+  el.className = "pgn-sr-only";
+  el.setAttribute("aria-live", "polite");
+  el.setAttribute("aria-atomic", "true");
+  return el;
+};
+
+// Clear first so repeating the same text is announced again
+t.announce = function(region, text){
+  if (!region) return;
+  region.textContent = "";
+  setTimeout(() => { region.textContent = text || ""; }, 30);
+};
+
 // ------------------------------------------------------------------
 // Shared header builder
 // ------------------------------------------------------------------
@@ -224,6 +282,1164 @@ t.safeChessboard = function(targetEl, options, tries=30, onReady){
   }
 };
 
+// ------------------------------------------------------------------
+// Variants
+//
+// chess.js only knows standard chess. Chess960 is layered on top of it:
+// the wrapped Chess instance never sees castling rights, and castling
+// (king and rook on any files, written O-O / O-O-O) is handled here.
+// Rights are read from X-FEN (KQkq = outermost rook) or Shredder-FEN
+// (rook files, e.g. HAha).
+// ------------------------------------------------------------------
+
+t.variantOf = function(headers){
+  const v = String((headers && headers.Variant) || "").trim();
+  const k = v.toLowerCase().replace(/[\s_-]/g, "");
+
+  if (!k || k === "standard" || k === "normal" || k === "fromposition") return "standard";
+  if (k === "chess960" || k === "fischerandom" || k === "fischerrandom") return "chess960";
+  return v;
+};
+
+t.isSupportedVariant = function(v){
+  return v === "standard" || v === "chess960";
+};
+
+// A chess.js-compatible game for the variant; load(fen) it before use
+t.createGame = function(variant){
+  return variant === "chess960" ? new Chess960Game() : new Chess();
+};
+
+const FILES = "abcdefgh";
+
+class Chess960Game {
+  constructor(){
+    this.chess = new Chess();
+    this.rights = { w:[], b:[] };
+    this.past = [];
+  }
+
+  load(fen){
+    const f = String(fen || "").trim().split(/\s+/);
+    if (f.length !== 6) return false;
+
+    const castling = f[2];
+    f[2] = "-";
+    if (!this.chess.load(f.join(" "))) return false;
+
+    this.rights = {
+      w:this.readRights(castling, "w"),
+      b:this.readRights(castling, "b")
+    };
+    return true;
+  }
+
+  backRank(c){ return c === "w" ? "1" : "8"; }
+
+  kingFile(c){
+    const r = this.backRank(c);
+    return [...FILES].find(f => {
+      const p = this.chess.get(f + r);
+      return p && p.type === "k" && p.color === c;
+    }) || null;
+  }
+
+  rookFiles(c){
+    const r = this.backRank(c);
+    return [...FILES].filter(f => {
+      const p = this.chess.get(f + r);
+      return p && p.type === "r" && p.color === c;
+    });
+  }
+
+  readRights(field, c){
+    const k = this.kingFile(c);
+    if (!k) return [];
+
+    const rooks = this.rookFiles(c);
+    const out = [];
+
+    for (const ch of field) {
+      if (ch === "-" || (ch === ch.toUpperCase()) !== (c === "w")) continue;
+
+      const l = ch.toLowerCase();
+      const file =
+        l === "k" ? rooks.filter(f => f > k).pop() :
+        l === "q" ? rooks.find(f => f < k) :
+        rooks.includes(l) ? l : null;
+
+      if (file && !out.includes(file)) out.push(file);
+    }
+    return out;
+  }
+
+  rightsField(){
+    let s = "";
+
+    ["w", "b"].forEach(c => {
+      const k = this.kingFile(c), rooks = this.rookFiles(c);
+
+      [...this.rights[c]].sort().reverse().forEach(f => {
+        const outer = f > k ? rooks.filter(r => r > k).pop() : rooks.find(r => r < k);
+        const ch = f !== outer ? f : f > k ? "k" : "q";
+        s += c === "w" ? ch.toUpperCase() : ch;
+      });
+    });
+
+    return s || "-";
+  }
+
+  fen(){
+    const f = this.chess.fen().split(" ");
+    f[2] = this.rightsField();
+    return f.join(" ");
+  }
+
+  turn(){ return this.chess.turn(); }
+  get(sq){ return this.chess.get(sq); }
+  in_check(){ return this.chess.in_check(); }
+  in_checkmate(){ return this.chess.in_checkmate(); }
+  in_stalemate(){ return this.chess.in_stalemate() && !this.castlings().length; }
+  in_draw(){
+    return this.in_stalemate() || this.chess.insufficient_material() ||
+      this.chess.in_threefold_repetition() || this.chess.fen().split(" ")[4] >= 100;
+  }
+  game_over(){ return this.in_checkmate() || this.in_draw(); }
+
+  // Would the side to move be in check with its king on `sq`?
+  attacked(kingSq, rookSq, sq){
+    const c = this.turn();
+    const probe = new Chess();
+    probe.load(this.chess.fen());
+    probe.remove(kingSq);
+    probe.remove(rookSq);
+    probe.put({ type:"k", color:c }, sq);
+    return probe.in_check();
+  }
+
+  castlings(){
+    const c = this.turn(), r = this.backRank(c), k = this.kingFile(c);
+    if (!k || this.chess.in_check()) return [];
+
+    const out = [];
+
+    this.rights[c].forEach(rf => {
+      const side = rf > k ? "k" : "q";
+      const kTo = side === "k" ? "g" : "c";
+      const rTo = side === "k" ? "f" : "d";
+
+      // Every square both pieces cross must be empty but for themselves
+      const span = [k, rf, kTo, rTo].sort();
+      for (let i = FILES.indexOf(span[0]); i <= FILES.indexOf(span[3]); i++) {
+        const f = FILES[i];
+        if (f !== k && f !== rf && this.chess.get(f + r)) return;
+      }
+
+      // ...and the king may not pass through check
+      const a = FILES.indexOf(k), b = FILES.indexOf(kTo);
+      for (let i = Math.min(a, b); i <= Math.max(a, b); i++) {
+        if (i !== a && this.attacked(k + r, rf + r, FILES[i] + r)) return;
+      }
+
+      const m = {
+        color:c, piece:"k", flags:side,
+        from:k + r, to:kTo + r,
+        rook:rf + r, rookTo:rTo + r,
+        san:side === "k" ? "O-O" : "O-O-O"
+      };
+
+      const probe = new Chess960Game();
+      probe.load(this.fen());
+      out.push(probe.castle(m));
+    });
+
+    return out;
+  }
+
+  castle(m){
+    const c = m.color;
+
+    this.chess.remove(m.from);
+    this.chess.remove(m.rook);
+    this.chess.put({ type:"k", color:c }, m.to);
+    this.chess.put({ type:"r", color:c }, m.rookTo);
+
+    const f = this.chess.fen().split(" ");
+    f[1] = c === "w" ? "b" : "w";
+    f[3] = "-";
+    f[4] = String(+f[4] + 1);
+    if (c === "b") f[5] = String(+f[5] + 1);
+    this.chess.load(f.join(" "));
+    this.rights[c] = [];
+
+    const suffix = this.chess.in_checkmate() ? "#" : this.chess.in_check() ? "+" : "";
+    return Object.assign({}, m, { san:m.san.replace(/[+#]$/, "") + suffix });
+  }
+
+  updateRights(mv){
+    const o = mv.color === "w" ? "b" : "w";
+    const drop = (c, f) => { this.rights[c] = this.rights[c].filter(x => x !== f); };
+
+    if (mv.piece === "k") this.rights[mv.color] = [];
+    else if (mv.piece === "r" && mv.from[1] === this.backRank(mv.color)) drop(mv.color, mv.from[0]);
+
+    if (mv.captured === "r" && mv.to[1] === this.backRank(o)) drop(o, mv.to[0]);
+  }
+
+  moves(opts){
+    const cs = this.castlings()
+      .filter(m => !(opts && opts.square) || m.from === opts.square);
+    const list = this.chess.moves(opts);
+    return list.concat(opts && opts.verbose ? cs : cs.map(m => m.san));
+  }
+
+  // SAN ("O-O" too) or { from, to }; a king dropped on its own castling
+  // rook, or on the castling target square, castles. A king already on
+  // its target square does not castle by being put back there.
+  move(m, opts){
+    if (m && m.from && m.from === m.to) return null;
+
+    const cs = this.castlings();
+    const before = this.fen();
+    let c = null, mv = null;
+
+    if (typeof m === "string") {
+      const s = t.normalizeSAN(m);
+      c = cs.find(x => x.san.replace(/[+#]$/, "") === s);
+      if (!c && /^O-O/.test(s)) return null;
+    } else if (m && m.from) {
+      c = cs.find(x => x.from === m.from && (x.rook === m.to || x.rook === m.rook));
+    }
+
+    if (!c) {
+      try { mv = this.chess.move(m, opts); } catch {}
+      if (!mv && m && m.from) c = cs.find(x => x.from === m.from && x.to === m.to);
+    }
+
+    if (c) mv = this.castle(c);
+    else if (mv) this.updateRights(mv);
+    else return null;
+
+    this.past.push(before);
+    return mv;
+  }
+
+  undo(){
+    if (!this.past.length) return null;
+    this.load(this.past.pop());
+    return true;
+  }
+}
+
+// ------------------------------------------------------------------
+// Shared PGN parser
+//
+// PGNCore.parse(text, opts) → { headers, fen, variant, result, comment, moves }
+// `moves` is the mainline. Every node looks like
+//   { san, nags, glyphs, comments, commentBefore, commands, variations,
+//     fen, from, to, color, moveNumber, ply }
+// where `variations` holds alternative lines to that node and the
+// position fields are filled in by replaying with chess.js.
+// Moves chess.js rejects keep their SAN but get no fen. Games in a
+// variant we cannot replay get an `error` and no positions at all.
+// ------------------------------------------------------------------
+
+t.START_FEN = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+
+t.NAG_SUFFIX = Object.freeze({
+  "!":1,"?":2,"!!":3,"??":4,"!?":5,"?!":6
+});
+
+const TAG_LINE_REGEX = /^\s*\[\w+\s+"/;
+const TAG_REGEX = /\[(\w+)\s+"((?:[^"\\]|\\.)*)"/g;
+const COMMAND_REGEX = /\[%(\w+)\s+([^\]]*)\]/g;
+
+t.splitGames = function(text){
+  const games = [];
+  let cur = [], hasMoves = false;
+
+  String(text||"").replace(/\r/g,"").split("\n").forEach(line => {
+    const isTag = TAG_LINE_REGEX.test(line);
+    if (isTag && hasMoves) {
+      games.push(cur.join("\n"));
+      cur = [];
+      hasMoves = false;
+    }
+    if (!isTag && line.trim()) hasMoves = true;
+    cur.push(line);
+  });
+  games.push(cur.join("\n"));
+
+  return games.map(g => g.trim()).filter(Boolean);
+};
+
+t.parseHeaders = function(text){
+  const headers = {};
+  const lines = String(text||"").replace(/\r/g,"").split("\n");
+  let i = 0;
+
+  for (; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line.trim()) continue;
+    if (!TAG_LINE_REGEX.test(line)) break;
+    line.replace(TAG_REGEX, (_, k, v) => {
+      headers[k] = v.replace(/\\(["\\])/g,"$1");
+    });
+  }
+
+  return { headers, movetext: lines.slice(i).join("\n") };
+};
+
+function tokenizeMovetext(s){
+  const out = [];
+  let i = 0;
+
+  while (i < s.length) {
+    const ch = s[i];
+
+    if (/\s/.test(ch)) { i++; continue; }
+
+    if (ch === "{" || ch === ";") {
+      const j = s.indexOf(ch === "{" ? "}" : "\n", i + 1);
+      const end = j === -1 ? s.length : j;
+      out.push({ type:"comment", value:s.slice(i + 1, end) });
+      i = end + 1;
+      continue;
+    }
+
+    if (ch === "%" && (i === 0 || s[i - 1] === "\n")) {
+      const j = s.indexOf("\n", i);
+      i = j === -1 ? s.length : j + 1;
+      continue;
+    }
+
+    if (ch === "(" || ch === ")") {
+      out.push({ type:ch });
+      i++;
+      continue;
+    }
+
+    // [D] and stray [%cmd …] outside braces behave like comments
+    if (ch === "[") {
+      const j = s.indexOf("]", i);
+      if (j !== -1) {
+        out.push({ type:"comment", value:s.slice(i, j + 1) });
+        i = j + 1;
+        continue;
+      }
+    }
+
+    const start = i;
+    while (i < s.length && !/\s/.test(s[i]) && !"(){};[".includes(s[i])) i++;
+    if (i === start) { i++; continue; }
+    out.push({ type:"word", value:s.slice(start, i) });
+  }
+
+  return out;
+}
+
+function readComment(raw, node){
+  return String(raw||"")
+    .replace(COMMAND_REGEX, (_, k, v) => {
+      if (node) {
+        const c = node.commands;
+        v = v.trim();
+        c[k] = c[k] && (k === "cal" || k === "csl") ? c[k] + "," + v : v;
+      }
+      return " ";
+    })
+    .replace(/\s+/g," ")
+    .trim();
+}
+
+function makeNode(san){
+  return {
+    san,
+    nags: [],
+    glyphs: [],
+    comments: [],
+    commentBefore: "",
+    commands: {},
+    variations: [],
+    fen: null
+  };
+}
+
+function replayLine(line, fen, variant){
+  const chess = t.createGame(variant);
+  let ok = chess.load(fen);
+
+  line.forEach(node => {
+    if (!ok) return;
+
+    const before = chess.fen();
+    node.variations.forEach(v => replayLine(v, before, variant));
+
+    let mv = null;
+    try { mv = chess.move(node.san, { sloppy:true }); } catch {}
+    if (!mv) { ok = false; return; }
+
+    node.san = mv.san;
+    node.from = mv.from;
+    node.to = mv.to;
+    node.color = mv.color;
+    node.moveNumber = +before.split(" ")[5] || 1;
+    node.ply = (node.moveNumber - 1) * 2 + (mv.color === "b" ? 2 : 1);
+    node.fen = chess.fen();
+  });
+}
+
+t.parse = function(text, opts){
+  opts = opts || {};
+
+  const { headers, movetext } = t.parseHeaders(text);
+  const game = { headers, fen: "", result: "", comment: "", moves: [] };
+
+  game.variant = opts.variant || t.variantOf(headers);
+  if (!t.isSupportedVariant(game.variant)) {
+    game.error = "Unsupported variant: " + game.variant;
+  }
+
+  game.fen = opts.fen ||
+    (headers.FEN && headers.SetUp !== "0" ? headers.FEN.trim() : t.START_FEN);
+
+  let line = game.moves;
+  let pending = [];
+  let strayOpen = false;
+  const stack = [];
+
+  const last = () => line[line.length - 1] || null;
+
+  tokenizeMovetext(movetext).forEach(tok => {
+
+    if (tok.type === "comment") {
+      const node = last();
+      const txt = readComment(tok.value, node);
+      if (txt) (node ? node.comments : pending).push(txt);
+      strayOpen = false;
+      return;
+    }
+
+    if (tok.type === "(") {
+      const anchor = last();
+      const v = [];
+      if (anchor) anchor.variations.push(v);
+      stack.push({ line, pending, anchor, v });
+      line = v;
+      pending = [];
+      strayOpen = false;
+      return;
+    }
+
+    if (tok.type === ")") {
+      if (!stack.length) return;
+      const frame = stack.pop();
+      // An empty "( … )" only carries comments (e.g. "([D])"): give them
+      // to the move the variation hangs off.
+      if (!line.length && frame.anchor) {
+        frame.anchor.variations = frame.anchor.variations.filter(v => v !== frame.v);
+        frame.anchor.comments.push(...pending);
+      }
+      line = frame.line;
+      pending = frame.pending;
+      strayOpen = false;
+      return;
+    }
+
+    let w = tok.value.replace(/^\d+\.+/, "");
+    if (!w) return;
+
+    if (t.RESULT_REGEX.test(w)) {
+      if (!stack.length) game.result = w;
+      return;
+    }
+
+    const node = last();
+
+    if (/^\$\d+$/.test(w)) {
+      if (node) node.nags.push(+w.slice(1));
+      return;
+    }
+
+    if (t.NAG_SUFFIX[w]) {
+      if (node) node.nags.push(t.NAG_SUFFIX[w]);
+      return;
+    }
+
+    if (t.EVAL_MAP[w]) {
+      if (node) node.glyphs.push(t.EVAL_MAP[w]);
+      return;
+    }
+
+    const m = t.normalizeFigurines(w).match(/^(.*?)([!?]{1,2})?$/);
+    const core = m[1].replace(/0/g,"O");
+
+    if (t.SAN_CORE_REGEX.test(core)) {
+      const n = makeNode(core);
+      if (m[2] && t.NAG_SUFFIX[m[2]]) n.nags.push(t.NAG_SUFFIX[m[2]]);
+      if (pending.length) {
+        n.commentBefore = pending.join(" ");
+        pending = [];
+      }
+      line.push(n);
+      strayOpen = false;
+      return;
+    }
+
+    // Loose words in the movetext are kept as comment text
+    const target = node ? node.comments : pending;
+    if (strayOpen && target.length) target[target.length - 1] += " " + w;
+    else target.push(w);
+    strayOpen = true;
+  });
+
+  game.comment = pending.join(" ");
+  if (!game.result) game.result = headers.Result || "";
+
+  if (typeof Chess === "function" && !game.error) {
+    replayLine(game.moves, game.fen, game.variant);
+  }
+
+  return game;
+};
+
+t.parseGames = function(text, opts){
+  return t.splitGames(text).map(g => t.parse(g, opts));
+};
+
+// ------------------------------------------------------------------
+// [%eval] scores, always from White's point of view
+// ------------------------------------------------------------------
+
+t.parseEval = function(v){
+  const s = String(v == null ? "" : v).trim().split(",")[0];
+
+  const m = s.match(/^#(\+|-)?(\d+)$/);
+  if (m) return { mate:+m[2], white:m[1] !== "-", pawns:null };
+
+  const p = parseFloat(s);
+  if (!isFinite(p)) return null;
+  return { mate:null, white:p >= 0, pawns:p };
+};
+
+t.formatEval = function(ev){
+  if (!ev) return "";
+  if (ev.mate !== null) return "#" + (ev.white ? "" : "-") + ev.mate;
+  return (ev.pawns > 0 ? "+" : "") + ev.pawns.toFixed(1);
+};
+
+// White's share of the eval bar (0-100), same curve as Lichess
+t.evalPercent = function(ev){
+  if (!ev) return 50;
+  if (ev.mate !== null) return ev.white ? 100 : 0;
+
+  const cp = Math.max(-1000, Math.min(1000, ev.pawns * 100));
+  return 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * cp)) - 1);
+};
+
+// ------------------------------------------------------------------
+// UCI engine output
+// ------------------------------------------------------------------
+
+// "info depth 20 multipv 2 score cp -35 ... pv e7e5 g1f3" ->
+//   { depth:20, multipv:2, cp:-35, mate:null, pv:["e7e5","g1f3"] }
+// Scores are from the side to move, as UCI sends them.
+t.parseUciInfo = function(line){
+  const w = String(line || "").trim().split(/\s+/);
+  if (w[0] !== "info") return null;
+
+  const info = { depth:0, multipv:1, cp:null, mate:null, pv:[] };
+
+  for (let i = 1; i < w.length; i++) {
+    if (w[i] === "depth") info.depth = +w[++i];
+    else if (w[i] === "multipv") info.multipv = +w[++i];
+    else if (w[i] === "score") {
+      const kind = w[++i], v = +w[++i];
+      if (kind === "cp") info.cp = v;
+      else if (kind === "mate") info.mate = v;
+    }
+    else if (w[i] === "pv") { info.pv = w.slice(i + 1); break; }
+    else if (w[i] === "string") return null;
+  }
+
+  return info.pv.length && (info.cp !== null || info.mate !== null) ? info : null;
+};
+
+// The same score as a parseEval() result, from White's point of view
+t.uciEval = function(info, turn){
+  const sign = turn === "b" ? -1 : 1;
+  if (info.mate !== null) {
+    return { mate:Math.abs(info.mate), white:info.mate * sign > 0, pawns:null };
+  }
+  const pawns = sign * info.cp / 100;
+  return { mate:null, white:pawns >= 0, pawns };
+};
+
+// UCI moves ("e2e4", "e7e8q") -> SAN, stopping at the first illegal one
+t.uciToSan = function(fen, pv, variant){
+  const game = t.createGame(variant);
+  if (!game.load(fen)) return [];
+
+  const out = [];
+  for (const uci of pv || []) {
+    let m = null;
+    try {
+      m = game.move({ from:uci.slice(0, 2), to:uci.slice(2, 4), promotion:uci[4] || "q" });
+    } catch {}
+    if (!m) break;
+    out.push(m.san);
+  }
+  return out;
+};
+
+// Resolves true when an engine build is served at `url` and this browser
+// can run it in a Worker; checked once per URL
+const engineChecks = {};
+t.engineAvailable = function(url){
+  if (!(url in engineChecks)) {
+    const src = url && new URL(url, location.href);
+    engineChecks[url] = !src || typeof Worker === "undefined" || src.origin !== location.origin
+      ? Promise.resolve(false)
+      : fetch(src.href, { method:"HEAD" }).then(r => r.ok, () => false);
+  }
+  return engineChecks[url];
+};
+
+// A UCI engine (a Stockfish.js build, say) running in a Web Worker.
+// One search at a time: go() stops the running search and starts the
+// new one when the engine has answered with its bestmove.
+t.Engine = class {
+  constructor(url) {
+    this.current = null;
+    this.queued = null;
+    this.stopping = false;
+    this.worker = new Worker(url);
+    this.worker.onmessage = e => this.receive(String(e.data));
+    this.worker.onerror = () => this.onerror && this.onerror();
+    this.send("uci");
+  }
+
+  send(cmd) {
+    this.worker.postMessage(cmd);
+  }
+
+  // Resolves with { bestmove, lines } once the search ends, or null
+  // when another go() replaced it first
+  go(fen, opts, onInfo) {
+    return new Promise(resolve => {
+      if (this.queued) this.queued.resolve(null);
+      this.queued = { fen, opts: opts || {}, onInfo, resolve, lines: [] };
+
+      if (this.current) this.halt();
+      else this.next();
+    });
+  }
+
+  next() {
+    const job = this.current = this.queued;
+    this.queued = null;
+    this.stopping = false;
+    if (!job) return;
+
+    this.send("setoption name UCI_Chess960 value " + !!job.opts.chess960);
+    this.send("setoption name MultiPV value " + (job.opts.multipv || 1));
+    this.send("position fen " + job.fen);
+    this.send("go " + (job.opts.depth ? "depth " + job.opts.depth : "infinite"));
+  }
+
+  receive(line) {
+    const job = this.current;
+    if (!job) return;
+
+    if (line.startsWith("bestmove")) {
+      this.current = null;
+      job.resolve(this.queued ? null : { bestmove: line.split(" ")[1], lines: job.lines });
+      this.next();
+      return;
+    }
+
+    const info = t.parseUciInfo(line);
+    if (!info) return;
+    job.lines[info.multipv - 1] = info;
+    if (!this.queued && job.onInfo) job.onInfo(job.lines, info);
+  }
+
+  stop() {
+    if (this.queued) this.queued.resolve(null);
+    this.queued = null;
+    if (this.current) this.halt();
+  }
+
+  // Engines answer a single "stop" per search
+  halt() {
+    if (this.stopping) return;
+    this.stopping = true;
+    this.send("stop");
+  }
+
+  quit() {
+    if (this.queued) this.queued.resolve(null);
+    if (this.current) this.current.resolve(null);
+    this.worker.terminate();
+  }
+};
+
+// ------------------------------------------------------------------
+// [%clk] clock times
+// ------------------------------------------------------------------
+
+// "1:30:57" / "5:03.2" -> seconds
+t.parseClock = function(v){
+  const m = String(v == null ? "" : v).trim().match(/^(?:(\d+):)?(\d+):(\d+(?:\.\d+)?)$/);
+  return m ? (+m[1] || 0) * 3600 + +m[2] * 60 + +m[3] : null;
+};
+
+t.formatClock = function(sec){
+  if (sec == null || !isFinite(sec)) return "";
+  const s = Math.max(0, Math.round(sec));
+  const h = Math.floor(s / 3600), m = Math.floor(s / 60) % 60;
+  const pad = n => String(n).padStart(2, "0");
+  return h ? h + ":" + pad(m) + ":" + pad(s % 60) : m + ":" + pad(s % 60);
+};
+
+// TimeControl "5400+30" -> { base:5400, inc:30 }; the first period only
+t.parseTimeControl = function(tc){
+  const m = String(tc || "").match(/^(?:\d+\/)?(\d+)(?:\+(\d+))?/);
+  return m ? { base:+m[1], inc:+m[2] || 0 } : null;
+};
+
+// ------------------------------------------------------------------
+// Board annotations: [%cal] arrows and [%csl] squares
+// ------------------------------------------------------------------
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+t.SHAPE_COLORS = Object.freeze({
+  G:"#15781b", R:"#882020", Y:"#e68f00", B:"#003088"
+});
+
+t.readCommands = function(raw){
+  const node = { commands:{} };
+  readComment(raw, node);
+  return node.commands;
+};
+
+// Accepts a parsed node's `commands` or a raw comment string
+t.parseAnnotations = function(src){
+  const cmds = typeof src === "string" ? t.readCommands(src) : (src || {});
+  const items = v => String(v || "").split(",").map(s => s.trim()).filter(Boolean);
+  const arrows = [], squares = [];
+
+  items(cmds.cal).forEach(s => {
+    const m = s.match(/^([GRYB]?)([a-h][1-8])([a-h][1-8])$/);
+    if (m) arrows.push({ color:m[1] || "G", from:m[2], to:m[3] });
+  });
+
+  items(cmds.csl).forEach(s => {
+    const m = s.match(/^([GRYB]?)([a-h][1-8])$/);
+    if (m) squares.push({ color:m[1] || "G", square:m[2] });
+  });
+
+  return { arrows, squares };
+};
+
+function squareCenter(sq, orientation){
+  const f = sq.charCodeAt(0) - 97, r = +sq[1] - 1;
+  return orientation === "black" ? [7.5 - f, r + .5] : [f + .5, 7.5 - r];
+}
+
+function svgEl(tag, attrs){
+  const el = document.createElementNS(SVG_NS, tag);
+  for (const k in attrs) el.setAttribute(k, attrs[k]);
+  return el;
+}
+
+function arrowShape(a, orientation){
+  const [x1, y1] = squareCenter(a.from, orientation);
+  const [x2, y2] = squareCenter(a.to, orientation);
+  const len = Math.hypot(x2 - x1, y2 - y1) || 1;
+  const ux = (x2 - x1) / len, uy = (y2 - y1) / len;
+
+  const tipX = x2 - ux * .15, tipY = y2 - uy * .15;
+  const baseX = tipX - ux * .45, baseY = tipY - uy * .45;
+  const nx = -uy * .22, ny = ux * .22;
+  const color = t.SHAPE_COLORS[a.color];
+
+  const g = svgEl("g", { opacity:".8" });
+  g.appendChild(svgEl("line", {
+    x1, y1, x2:baseX, y2:baseY,
+    stroke:color, "stroke-width":".17"
+  }));
+  g.appendChild(svgEl("polygon", {
+    fill:color,
+    points:[
+      [tipX, tipY],
+      [baseX + nx, baseY + ny],
+      [baseX - nx, baseY - ny]
+    ].map(p => p.join(",")).join(" ")
+  }));
+  return g;
+}
+
+// The overlay sits on the chessboard.js container, which keeps it alive
+// when the library redraws the inner board on flip or resize.
+function placeOverlay(svg){
+  const b = svg.parentNode && svg.parentNode.querySelector(".board-b72b1");
+  if (!b) return;
+  svg.style.left = (b.offsetLeft + b.clientLeft) + "px";
+  svg.style.top = (b.offsetTop + b.clientTop) + "px";
+  svg.style.width = b.clientWidth + "px";
+  svg.style.height = b.clientHeight + "px";
+}
+
+t.drawAnnotations = function(boardEl, shapes, orientation){
+  if (typeof boardEl === "string") boardEl = document.getElementById(boardEl);
+  if (!boardEl) return;
+
+  let svg = boardEl.querySelector(":scope > svg.pgn-annotations");
+  if (!shapes || (!shapes.arrows.length && !shapes.squares.length)) {
+    if (svg) svg.remove();
+    return;
+  }
+
+  if (!svg) {
+    svg = svgEl("svg", { class:"pgn-annotations", viewBox:"0 0 8 8", "aria-hidden":"true" });
+    svg.style.position = "absolute";
+    svg.style.pointerEvents = "none";
+    svg.style.zIndex = "5";
+    if (getComputedStyle(boardEl).position === "static") boardEl.style.position = "relative";
+    boardEl.appendChild(svg);
+  }
+
+  svg.textContent = "";
+
+  shapes.squares.forEach(s => {
+    const [x, y] = squareCenter(s.square, orientation);
+    svg.appendChild(svgEl("rect", {
+      x:x - .5, y:y - .5, width:1, height:1,
+      fill:t.SHAPE_COLORS[s.color], opacity:".45"
+    }));
+  });
+
+  shapes.arrows.forEach(a => svg.appendChild(arrowShape(a, orientation)));
+
+  placeOverlay(svg);
+};
+
+if (e.addEventListener) e.addEventListener("resize", () => requestAnimationFrame(() =>
+  document.querySelectorAll("svg.pgn-annotations").forEach(placeOverlay)
+));
+
+// ------------------------------------------------------------------
+// Click-to-move
+//
+// Lets a chessboard.js board take a move as two taps, the piece and
+// then its square, next to dragging. Legal targets are dotted. The
+// listeners sit on the container, which survives the library's
+// redraws, and run before its own drag handlers.
+//
+//   game()       the position to move in (chess.js or Chess960Game)
+//   canMove(sq)  optional veto, e.g. while it is not the user's turn
+//   onMove(f,t)  plays the move; the board's onDrop handler will do
+//
+// Returns { clear, destroy }; destroy() removes the listeners before the
+// board is thrown away.
+// ------------------------------------------------------------------
+
+const CLICK_COLOR = "rgba(20,85,30,.5)";
+const CLICK_SOURCE = "inset 0 0 0 3px " + CLICK_COLOR;
+const CLICK_DOT = `radial-gradient(${CLICK_COLOR} 19%, transparent 21%)`;
+const CLICK_RING = `radial-gradient(transparent 76%, ${CLICK_COLOR} 78%)`;
+
+t.clickToMove = function(boardEl, opts){
+  if (typeof boardEl === "string") boardEl = document.getElementById(boardEl);
+  if (!boardEl) return null;
+
+  let from = null, fen = null, targets = [], marked = [], lastTouch = 0;
+
+  function clear(){
+    marked.forEach(el => {
+      el.style.boxShadow = "";
+      el.style.backgroundImage = "";
+      el.classList.remove("pgn-click-source", "pgn-click-target");
+    });
+    marked = [];
+    targets = [];
+    from = null;
+  }
+
+  function mark(sq, cls, prop, value){
+    const el = boardEl.querySelector(`[data-square="${sq}"]`);
+    if (!el) return;
+    el.classList.add(cls);
+    el.style[prop] = value;
+    marked.push(el);
+  }
+
+  function select(game, sq){
+    targets = game.moves({ verbose:true }).filter(m => m.from === sq);
+    if (!targets.length) return;
+
+    from = sq;
+    fen = game.fen();
+    mark(sq, "pgn-click-source", "boxShadow", CLICK_SOURCE);
+    targets.forEach(m => {
+      if (m.to !== sq) mark(m.to, "pgn-click-target", "backgroundImage", game.get(m.to) ? CLICK_RING : CLICK_DOT);
+    });
+  }
+
+  function press(e){
+    if (e.type === "touchstart") lastTouch = Date.now();
+    else if (e.button || Date.now() - lastTouch < 800) return;
+
+    const el = e.target.closest && e.target.closest("[data-square]");
+    if (!el || !boardEl.contains(el)) return;
+
+    const sq = el.getAttribute("data-square");
+    const game = opts.game();
+
+    // A Chess960 castle may be tapped on the king's or the rook's square,
+    // but tapping the selected piece again only deselects it
+    const live = from && sq !== from && game && game.fen() === fen && (!opts.canMove || opts.canMove(from));
+    const hit = live && targets.find(m => m.to === sq || m.rook === sq);
+    if (hit) {
+      const src = from;
+      e.preventDefault();
+      e.stopPropagation();
+      clear();
+      opts.onMove(src, sq);
+      return;
+    }
+
+    const again = sq === from;
+    clear();
+    if (!again && game && (!opts.canMove || opts.canMove(sq))) select(game, sq);
+  }
+
+  boardEl.addEventListener("mousedown", press, true);
+  boardEl.addEventListener("touchstart", press, { capture:true, passive:false });
+
+  // Drop the selection once the position on the board has moved on
+  let observer = null;
+  if (typeof MutationObserver === "function") {
+    observer = new MutationObserver(() => {
+      const game = from && opts.game();
+      if (from && (!game || game.fen() !== fen)) clear();
+    });
+    observer.observe(boardEl, { childList:true, subtree:true });
+  }
+
+  function destroy(){
+    clear();
+    boardEl.removeEventListener("mousedown", press, true);
+    boardEl.removeEventListener("touchstart", press, { capture:true });
+    if (observer) observer.disconnect();
+  }
+
+  return { clear, destroy };
+};
+
+// ------------------------------------------------------------------
+// Promotion picker
+//
+// choosePromotion(color) resolves to "q", "r", "b" or "n", or to null
+// when dismissed (Escape or a click beside the pieces). It drives any
+// element holding [data-p] buttons, such as the analysis app's #promo,
+// and otherwise builds a plain one. The letters Q, R, B and N pick
+// from the keyboard.
+// ------------------------------------------------------------------
+
+const PROMO_PIECES = ["q", "r", "b", "n"];
+const PROMO_GLYPHS = { w:"♕♖♗♘", b:"♛♜♝♞" };
+
+let promoEl = null, promoCancel = null;
+
+function defaultPromoEl(){
+  if (promoEl) return promoEl;
+
+  promoEl = document.createElement("div");
+  promoEl.className = "pgn-promo";
+  promoEl.style.cssText = "position:fixed;inset:0;z-index:10000;display:none;" +
+    "align-items:center;justify-content:center;background:rgba(0,0,0,.45)";
+
+  const box = document.createElement("div");
+  box.className = "box";
+  box.style.cssText = "display:flex;gap:8px;padding:12px;background:#fff;" +
+    "border-radius:12px;box-shadow:0 10px 24px rgba(0,0,0,.4)";
+
+  PROMO_PIECES.forEach(p => {
+    const b = document.createElement("button");
+    b.type = "button";
+    b.dataset.p = p;
+    b.style.cssText = "font-size:32px;line-height:1;padding:8px 12px;border:none;" +
+      "border-radius:8px;background:#eee;color:#000;cursor:pointer";
+    box.appendChild(b);
+  });
+
+  promoEl.appendChild(box);
+  document.body.appendChild(promoEl);
+  return promoEl;
+}
+
+// True when moving from -> to is a legal pawn promotion
+t.isPromotion = function(game, from, to){
+  return game.moves({ verbose:true })
+    .some(m => m.from === from && m.to === to && m.promotion);
+};
+
+t.choosePromotion = function(color, el){
+  if (promoCancel) promoCancel();
+  el = el || defaultPromoEl();
+
+  const buttons = [...el.querySelectorAll("[data-p]")];
+  buttons.forEach(b => {
+    const i = PROMO_PIECES.indexOf(b.dataset.p);
+    b.textContent = PROMO_GLYPHS[color === "b" ? "b" : "w"][i];
+    b.setAttribute("aria-label", t.PIECE_NAMES[b.dataset.p.toUpperCase()]);
+  });
+
+  return new Promise(resolve => {
+    function done(p){
+      el.style.display = "none";
+      el.removeEventListener("click", onClick);
+      document.removeEventListener("keydown", onKey, true);
+      promoCancel = null;
+      resolve(p);
+    }
+
+    function onClick(e){
+      const b = e.target.closest("[data-p]");
+      if (b) done(b.dataset.p);
+      else if (e.target === el) done(null);
+    }
+
+    function onKey(e){
+      const k = e.key.toLowerCase();
+      if (k !== "escape" && !PROMO_PIECES.includes(k)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      done(k === "escape" ? null : k);
+    }
+
+    el.addEventListener("click", onClick);
+    document.addEventListener("keydown", onKey, true);
+    promoCancel = () => done(null);
+
+    el.style.display = "flex";
+    if (buttons[0]) buttons[0].focus();
+  });
+};
+
+// ------------------------------------------------------------------
+// Opening book
+//
+// A book is a JSON list of { eco, name, moves } lines (see
+// assets/book/eco.json). It is indexed by position, so transpositions
+// find the same candidate moves; a move's count is the number of book
+// lines that continue with it.
+// ------------------------------------------------------------------
+
+const books = {};
+
+// Board, side to move and castling; counters and e.p. do not matter here
+t.positionKey = function(fen){
+  return String(fen || "").split(" ").slice(0, 3).join(" ");
+};
+
+t.buildBook = function(lines){
+  const book = { names:{}, moves:{} };
+
+  (lines || []).forEach(line => {
+    const moves = t.parse(line.moves).moves;
+    let before = t.START_FEN;
+
+    moves.forEach((node, i) => {
+      if (!node.fen) return;
+
+      const key = t.positionKey(before);
+      const at = book.moves[key] || (book.moves[key] = {});
+      const m = at[node.san] || (at[node.san] = {
+        san:node.san, fen:node.fen, count:0, eco:line.eco, name:line.name, depth:moves.length
+      });
+
+      m.count++;
+      // The shortest line through a move names it best
+      if (moves.length < m.depth) Object.assign(m, { eco:line.eco, name:line.name, depth:moves.length });
+
+      if (i === moves.length - 1) book.names[t.positionKey(node.fen)] = { eco:line.eco, name:line.name };
+      before = node.fen;
+    });
+  });
+
+  return book;
+};
+
+// Fetched and indexed once per URL
+t.loadBook = function(url){
+  if (!books[url]) {
+    books[url] = fetch(url)
+      .then(r => {
+        if (!r.ok) throw new Error("Opening book: HTTP " + r.status);
+        return r.json();
+      })
+      .then(t.buildBook)
+      .catch(err => { delete books[url]; throw err; });
+  }
+  return books[url];
+};
+
+// Candidate moves, most frequent first:
+// [{ san, fen, count, share, eco, name }]
+t.bookMoves = function(book, fen){
+  const at = (book && book.moves[t.positionKey(fen)]) || {};
+  const list = Object.keys(at).map(k => at[k]);
+  const total = list.reduce((n, m) => n + m.count, 0);
+
+  return list
+    .map(m => {
+      const named = book.names[t.positionKey(m.fen)] || m;
+      return {
+        san:m.san, fen:m.fen, count:m.count, share:m.count / total,
+        eco:named.eco, name:named.name
+      };
+    })
+    .sort((a, b) => b.count - a.count);
+};
+
+// ------------------------------------------------------------------
+// ECO classification
+// ------------------------------------------------------------------
+
+// Deepest book position along a line of nodes (anything with a `fen`)
+t.classify = function(book, line){
+  let found = null;
+  (line || []).forEach(n => {
+    const hit = book && n && n.fen && book.names[t.positionKey(n.fen)];
+    if (hit) found = hit;
+  });
+  return found;
+};
+
+// { eco, name } for a parsed game, or null. [ECO]/[Opening] tags win;
+// otherwise the mainline is classified against the bundled book.
+t.openingOf = function(game){
+  const h = game.headers || {};
+
+  if (h.ECO || h.Opening) {
+    const name = [h.Opening, h.Variation].filter(Boolean).join(": ");
+    return Promise.resolve({ eco:h.ECO || "", name });
+  }
+  if (game.variant !== "standard" || !game.moves.length) return Promise.resolve(null);
+
+  return t.loadBook(t.BOOK_URL)
+    .then(book => t.classify(book, game.moves))
+    .catch(() => null);
+};
+
+t.formatOpening = function(o){
+  return o ? [o.eco, o.name].filter(Boolean).join(" ") : "";
+};
+
 // ------------------------------------------------------------------
 
 try { Object.freeze(t); } catch(e){}
@@ -21,24 +21,27 @@ function appendText(el,txt){
   if(el && txt) el.appendChild(document.createTextNode(txt));
 }
 
-function splitPGNText(text){
-  const lines=text.split(/\r?\n/);
-  const headers=[];
-  const moves=[];
-  let inHeaders=true;
-
-  for(const line of lines){
-    const t=line.trim();
-    if(inHeaders && t.startsWith("[") && t.endsWith("]")) headers.push(line);
-    else if(inHeaders && t==="") inHeaders=false;
-    else{
-      inHeaders=false;
-      moves.push(line);
-    }
-  }
-  return {headers, moveText:moves.join(" ").replace(/\s+/g," ").trim()};
+const FIGURINES={K:"♔",Q:"♕",R:"♖",B:"♗",N:"♘"};
+
+function figurine(san){
+  return String(san).replace(/^[KQRBN]/,p=>FIGURINES[p]);
+}
+
+// "2s", "1500ms" or "2" -> milliseconds
+function parseSpeed(v){
+  const m=String(v||"").trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s)?$/);
+  if(!m) return 1500;
+  return m[2]==="ms" ? +m[1] : +m[1]*1000;
+}
+
+function svgEl(tag,attrs){
+  const el=document.createElementNS("http://www.w3.org/2000/svg",tag);
+  for(const k in attrs) el.setAttribute(k,attrs[k]);
+  return el;
 }
 
+let readerCount=0;
+
 // ============================================================
 
 class ReaderPGNView {
@@ -50,59 +53,156 @@ constructor(src){
   this.src=src;
   this.wrapper=document.createElement("div");
   this.wrapper.className="pgn-reader-block";
-  this.finalResultPrinted=false;
+  this.wrapper.tabIndex=0;
+  this.wrapper.setAttribute("role","group");
+  this.wrapper.setAttribute("aria-label","Game viewer");
+
+  const text=this.src.textContent||"";
+  const url=this.src.getAttribute("src");
+  this.clockChart=this.src.hasAttribute("clock-chart");
+  this.autoplay=this.src.dataset.autoplay;
+  this.speed=parseSpeed(this.autoplay);
+  this.timer=null;
+
+  // Deep links: #<anchor>-ply<n>, the anchor being the element's id or
+  // "game1", "game2"... in page order
+  this.anchor=this.src.id||"game"+(++readerCount);
+  this.defaultOrientation=
+    src.tagName.toLowerCase()==="pgn-reader-black" ? "black" : "white";
+  this.orientation=this.defaultOrientation;
 
   this.build();
-  this.applyFigurines();
   this.initBoardAndControls();
-  this.bindMoveClicks();
-}
-
-// ------------------------------------------------------------
 
-static isSANCore(tok){
-  return C.SAN_CORE_REGEX.test(tok);
+  if(url) this.loadSource(url);
+  else this.setGames(C.parseGames(text));
 }
 
 // ------------------------------------------------------------
 
 build(){
 
-  let raw=(this.src.textContent||"").trim();
-  raw=C.normalizeFigurines(raw);
-
-  const {headers,moveText}=splitPGNText(raw);
-  const pgn=(headers.length?headers.join("\n")+"\n\n":"")+moveText;
-
-  const chess=new Chess();
-  try{ chess.load_pgn(pgn,{sloppy:true}); }catch{}
-
-  let head={};
-  try{ head=chess.header(); }catch{}
-
-  const res=C.normalizeResult(head.Result||"");
-  const hasResult=/ (1-0|0-1|1\/2-1\/2|½-½|\*)$/.test(moveText);
-  const movetext=hasResult?moveText:moveText+(res?" "+res:"");
-
   this.wrapper.innerHTML=
+  '<select class="pgn-reader-games" hidden></select>'+
   '<div class="pgn-reader-header"></div>'+
   '<div class="pgn-reader-cols">'+
     '<div class="pgn-reader-left">'+
-      '<div class="pgn-reader-board"></div>'+
+      '<div class="pgn-reader-clock pgn-reader-clock-top" hidden></div>'+
+      '<div class="pgn-reader-boardrow">'+
+        '<div class="pgn-reader-evalbar" hidden>'+
+          '<div class="pgn-reader-evalbar-fill"></div>'+
+        '</div>'+
+        '<div class="pgn-reader-board"></div>'+
+      '</div>'+
+      '<div class="pgn-reader-clock pgn-reader-clock-bottom" hidden></div>'+
       '<div class="pgn-reader-buttons">'+
-        '<button class="pgn-reader-prev">◀</button>'+
-        '<button class="pgn-reader-next">▶</button>'+
+        '<button class="pgn-reader-start" aria-label="First move">⏮</button>'+
+        '<button class="pgn-reader-prev" aria-label="Previous move">◀</button>'+
+        '<button class="pgn-reader-next" aria-label="Next move">▶</button>'+
+        '<button class="pgn-reader-end" aria-label="Last move">⏭</button>'+
+        '<button class="pgn-reader-play" aria-label="Play">⏵</button>'+
+        '<button class="pgn-reader-flip" aria-label="Flip board">⇄</button>'+
+        '<span class="pgn-reader-eval"></span>'+
       '</div>'+
+      '<div class="pgn-reader-branches" role="group" aria-label="Continuations" hidden></div>'+
+      '<div class="pgn-reader-evalgraph" hidden></div>'+
+      '<div class="pgn-reader-clockchart" hidden></div>'+
     '</div>'+
     '<div class="pgn-reader-right"></div>'+
   '</div>';
 
+  this.live=C.createLiveRegion();
+  this.wrapper.appendChild(this.live);
+
   this.src.replaceWith(this.wrapper);
 
+  this.gameSelect=this.wrapper.querySelector(".pgn-reader-games");
+  this.gameSelect.setAttribute("aria-label","Game");
   this.headerDiv=this.wrapper.querySelector(".pgn-reader-header");
   this.movesCol=this.wrapper.querySelector(".pgn-reader-right");
   this.boardDiv=this.wrapper.querySelector(".pgn-reader-board");
+  this.branchesDiv=this.wrapper.querySelector(".pgn-reader-branches");
+  this.evalBar=this.wrapper.querySelector(".pgn-reader-evalbar");
+  this.evalFill=this.wrapper.querySelector(".pgn-reader-evalbar-fill");
+  this.evalText=this.wrapper.querySelector(".pgn-reader-eval");
+  this.evalGraphDiv=this.wrapper.querySelector(".pgn-reader-evalgraph");
+  this.clockTop=this.wrapper.querySelector(".pgn-reader-clock-top");
+  this.clockBottom=this.wrapper.querySelector(".pgn-reader-clock-bottom");
+  this.clockChartDiv=this.wrapper.querySelector(".pgn-reader-clockchart");
+
+  this.gameSelect.addEventListener("change",()=>
+    this.selectGame(+this.gameSelect.value)
+  );
+}
+
+// ------------------------------------------------------------
+
+loadSource(url){
+  appendText(this.movesCol,"Loading...");
+
+  fetch(new URL(url,window.location.href).href)
+    .then(r=>{
+      if(!r.ok) throw new Error(r.status);
+      return r.text();
+    })
+    .then(text=>this.setGames(C.parseGames(text)))
+    .catch(()=>{
+      this.movesCol.textContent="Could not load "+url;
+    });
+}
+
+// ------------------------------------------------------------
+
+static gameLabel(game,i){
+  const h=game.headers;
+  const round=h.Round && h.Round!=="?" ? "Rd "+h.Round : "";
+  const players=C.flipName(h.White||"?")+" – "+C.flipName(h.Black||"?");
+  const res=C.normalizeResult(game.result||h.Result);
+
+  return (i+1)+". "+[round,players,res,h.ECO].filter(Boolean).join(" · ");
+}
+
+setGames(games){
+  this.games=games.length?games:[C.parse("")];
+
+  this.gameSelect.innerHTML="";
+  this.games.forEach((g,i)=>{
+    const o=document.createElement("option");
+    o.value=i;
+    o.textContent=ReaderPGNView.gameLabel(g,i);
+    this.gameSelect.appendChild(o);
+  });
+  this.gameSelect.hidden=this.games.length<2;
+
+  this.selectGame(0);
+  if(!this.followHash() && this.autoplay!==undefined) this.playWhenVisible();
+}
+
+followHash(){
+  const m=window.location.hash.match(/^#(.+)-ply(\d+)$/);
+  if(!m || decodeURIComponent(m[1])!==this.anchor) return false;
 
+  const ply=+m[2];
+  const node=this.mainline.find(n=>n.ply===ply);
+  if(ply && !node) return false;
+
+  this.gotoNode(node||null);
+  this.wrapper.scrollIntoView({block:"start"});
+  return true;
+}
+
+selectGame(i){
+  const game=this.games[i];
+  if(!game) return;
+
+  this.game=game;
+  this.gameSelect.value=i;
+  this.stop();
+  this.headerDiv.innerHTML="";
+  this.movesCol.innerHTML="";
+  this.nav=new Map();
+
+  const head=game.headers;
   const white=C.formatPlayer(head.White,head.WhiteElo,head.WhiteTitle);
   const black=C.formatPlayer(head.Black,head.BlackElo,head.BlackTitle);
   const y=C.extractYear(head.Date);
@@ -111,8 +211,46 @@ build(){
   this.headerDiv.appendChild(
     C.buildGameHeader({white,black,meta})
   );
+  this.showOpening(game);
+
+  const o=String(head.Orientation||"").toLowerCase();
+  this.setOrientation(o==="white"||o==="black" ? o : this.defaultOrientation);
+  this.wrapper.setAttribute("aria-label",
+    "Game viewer: "+(head.White||"?")+" vs "+(head.Black||"?"));
+
+  this.renderGame(game);
+  this.applyFigurines();
+
+  this.moveSpans=[...this.wrapper.querySelectorAll(".reader-move")];
+  this.bindMoveClicks();
+
+  this.mainline=game.moves.filter(n=>this.nav.has(n));
+  this.graphCursors=[];
+  this.renderEvalGraph();
+  this.setupClocks();
+
+  this.current=null;
+  if(this.board) this.board.position(game.fen,false);
+  this.drawShapes(null);
+  this.updateBranches();
+  this.updateEval(null);
+  this.updateClocks(null);
+  this.updateGraphCursors(null);
+}
+
+// Appended to the subheader once known; the game may have changed by then
+showOpening(game){
+  C.openingOf(game).then(o=>{
+    if(!o || this.game!==game) return;
 
-  this.parseMovetext(movetext);
+    let h4=this.headerDiv.querySelector(".pgn-game-subheader");
+    if(!h4){
+      h4=document.createElement("h4");
+      h4.className="pgn-game-subheader";
+      this.headerDiv.firstChild.appendChild(h4);
+    }
+    appendText(h4,(h4.textContent?" · ":"")+C.formatOpening(o));
+  });
 }
 
 // ------------------------------------------------------------
@@ -128,169 +266,110 @@ ensure(ctx,cls){
 
 // ------------------------------------------------------------
 
-parseComment(text,i,ctx){
-  let j=i;
-  while(j<text.length && text[j]!=="}") j++;
-  let raw=text.substring(i,j).replace(/\[%.*?]/g,"").trim();
-  if(text[j]==="}") j++;
-
-  if(!raw) return j;
+renderComment(raw,ctx){
+  const txt=C.sanitizeComment(raw);
+  if(!txt) return;
 
   if(ctx.type==="variation"){
     this.ensure(ctx,"pgn-variation");
-    appendText(ctx.container," "+raw);
+    appendText(ctx.container," "+txt+" ");
   }else{
     const p=document.createElement("p");
     p.className="pgn-comment";
-    appendText(p,raw);
+    appendText(p,txt);
     this.movesCol.appendChild(p);
     ctx.container=null;
   }
   ctx.lastWasInterrupt=true;
-  return j;
 }
 
 // ------------------------------------------------------------
 
-handleSAN(tok,ctx){
+renderMove(node,ctx){
 
-  const core=C.normalizeSAN
-    ? C.normalizeSAN(tok)
-    : tok.replace(/[^a-hKQRBN0-9=O0-]+$/g,"").replace(/0/g,"O");
+  if(node.commentBefore) this.renderComment(node.commentBefore,ctx);
 
-  if(!ReaderPGNView.isSANCore(core)){
-    appendText(ctx.container,tok+" ");
-    return;
-  }
+  this.ensure(ctx,ctx.type==="main"?"pgn-mainline":"pgn-variation");
 
-  const base=ctx.baseHistoryLen||0;
-  const count=ctx.chess.history().length;
-  const ply=base+count;
-  const white=ply%2===0;
-  const num=Math.floor(ply/2)+1;
-
-  if(white) appendText(ctx.container,num+"."+C.NBSP);
-  else if(ctx.lastWasInterrupt) appendText(ctx.container,num+"..."+C.NBSP);
-
-  ctx.prevFen=ctx.chess.fen();
-  ctx.prevHistoryLen=ply;
-
-  const mv=ctx.chess.move(core,{sloppy:true});
-  if(!mv){
-    appendText(ctx.container,tok+" ");
+  if(!node.fen){
+    appendText(ctx.container,node.san+" ");
     return;
   }
 
+  if(node.color==="w") appendText(ctx.container,node.moveNumber+"."+C.NBSP);
+  else if(ctx.lastWasInterrupt) appendText(ctx.container,node.moveNumber+"..."+C.NBSP);
+
   ctx.lastWasInterrupt=false;
 
+  const before=ctx.prev;
+  if(ctx.last) this.nav.get(ctx.last).next=node;
+  ctx.last=node;
+  ctx.prev=node;
+
   const span=document.createElement("span");
   span.className="pgn-move reader-move";
-  span.dataset.fen=ctx.chess.fen();
+  span.dataset.fen=node.fen;
   span.dataset.mainline=ctx.type==="main"?"1":"0";
-  span.textContent=unbreak(tok)+" ";
+  span.setAttribute("role","button");
+  span.setAttribute("aria-label",C.speakMove(node));
+  span.tabIndex=-1;
+  span.textContent=unbreak(node.san)+
+    node.nags.filter(n=>n<=6).map(n=>C.NAG_MAP[n]).join("")+" ";
   ctx.container.appendChild(span);
 
-  return span;
-}
-
-// ------------------------------------------------------------
-
-parseMovetext(t){
-
-  const chess=new Chess();
-
-  let ctx={
-    type:"main",
-    chess,
-    container:null,
-    parent:null,
-    lastWasInterrupt:false,
-    prevFen:chess.fen(),
-    prevHistoryLen:0,
-    baseHistoryLen:null
-  };
-
-  let i=0;
+  this.nav.set(node,{span,prev:before,next:null});
 
-  while(i<t.length){
+  node.nags.filter(n=>n>6 && C.NAG_MAP[n])
+    .forEach(n=>appendText(ctx.container,C.NAG_MAP[n]+" "));
+  node.glyphs.forEach(g=>appendText(ctx.container,g+" "));
 
-    const ch=t[i];
+  node.comments.forEach(c=>this.renderComment(c,ctx));
 
-    if(/\s/.test(ch)){
-      while(i<t.length && /\s/.test(t[i])) i++;
-      this.ensure(ctx,ctx.type==="main"?"pgn-mainline":"pgn-variation");
-      appendText(ctx.container," ");
-      continue;
-    }
+  node.variations.forEach(line=>{
+    const v={
+      type:"variation",container:null,lastWasInterrupt:true,
+      prev:before,last:null
+    };
+    line.forEach(n=>this.renderMove(n,v));
+    ctx.lastWasInterrupt=true;
+    ctx.container=null;
+  });
 
-    if(ch==="("){
-      i++;
-      const fen=ctx.prevFen;
-      const len=ctx.prevHistoryLen;
-
-      ctx={
-        type:"variation",
-        chess:new Chess(fen),
-        container:null,
-        parent:ctx,
-        lastWasInterrupt:true,
-        prevFen:fen,
-        prevHistoryLen:len,
-        baseHistoryLen:len
-      };
-      this.ensure(ctx,"pgn-variation");
-      continue;
-    }
+  return span;
+}
 
-    if(ch===")"){
-      i++;
-      if(ctx.parent){
-        ctx=ctx.parent;
-        ctx.lastWasInterrupt=true;
-        ctx.container=null;
-      }
-      continue;
-    }
+// ------------------------------------------------------------
 
-    if(ch==="{"){
-      i=this.parseComment(t,i+1,ctx);
-      continue;
-    }
+renderGame(game){
 
-    const start=i;
-    while(i<t.length && !/\s/.test(t[i]) && !"(){}".includes(t[i])) i++;
-    const tok=t.substring(start,i);
-    if(!tok) continue;
+  const ctx={
+    type:"main",container:null,lastWasInterrupt:true,
+    prev:null,last:null
+  };
 
-    if(tok==="[D]"){
-      ctx.lastWasInterrupt=true;
-      ctx.container=null;
-      continue;
-    }
+  if(game.error){
+    const p=document.createElement("p");
+    p.className="pgn-error";
+    appendText(p,game.error);
+    this.movesCol.appendChild(p);
+  }
 
-    if(C.RESULT_REGEX.test(tok)){
-      if(!this.finalResultPrinted){
-        this.finalResultPrinted=true;
-        this.ensure(ctx,"pgn-mainline");
-        appendText(ctx.container,tok+" ");
-      }
-      continue;
-    }
+  if(game.comment) this.renderComment(game.comment,ctx);
 
-    if(C.MOVE_NUMBER_REGEX.test(tok)) continue;
+  game.moves.forEach(n=>this.renderMove(n,ctx));
 
-    this.ensure(ctx,ctx.type==="main"?"pgn-mainline":"pgn-variation");
-    this.handleSAN(tok,ctx);
+  const res=C.normalizeResult(game.result);
+  if(res){
+    this.ensure(ctx,"pgn-mainline");
+    appendText(ctx.container,res+" ");
   }
 }
 
 // ------------------------------------------------------------
 
 applyFigurines(){
-  const map={K:"♔",Q:"♕",R:"♖",B:"♗",N:"♘"};
   this.wrapper.querySelectorAll(".pgn-move").forEach(span=>{
-    const m=span.textContent.match(/^([KQRBN])(.+?)(\s*)$/);
-    if(m) span.textContent=map[m[1]]+m[2]+(m[3]||"");
+    span.textContent=figurine(span.textContent);
   });
 }
 
@@ -305,76 +384,444 @@ initBoardAndControls(){
     moveSpeed:"fast",
     snapSpeed:120,
     snapbackSpeed:120
-  },30,(b)=>this.board=b);
+  },30,(b)=>{
+    this.board=b;
+    b.orientation(this.orientation);
+    if(this.game) b.position((this.current||this.game).fen,false);
+    this.drawShapes(this.current);
+  });
 
-  this.moveSpans=[...this.wrapper.querySelectorAll(".reader-move")];
-  this.mainlineMoves=this.moveSpans.filter(s=>s.dataset.mainline==="1");
-  this.mainlineIndex=-1;
+  this.moveSpans=[];
+  this.nav=new Map();
+  this.current=null;
 
   this.wrapper.querySelector(".pgn-reader-prev")
     .addEventListener("click",()=>this.prev());
 
   this.wrapper.querySelector(".pgn-reader-next")
     .addEventListener("click",()=>this.next());
+
+  this.wrapper.querySelector(".pgn-reader-start")
+    .addEventListener("click",()=>this.gotoNode(null));
+
+  this.wrapper.querySelector(".pgn-reader-end")
+    .addEventListener("click",()=>this.end());
+
+  this.wrapper.querySelector(".pgn-reader-flip")
+    .addEventListener("click",()=>this.flip());
+
+  window.addEventListener("hashchange",()=>this.followHash());
+
+  this.playBtn=this.wrapper.querySelector(".pgn-reader-play");
+  this.playBtn.addEventListener("click",()=>
+    this.timer ? this.stop() : this.play()
+  );
+
+  this.wrapper.addEventListener("keydown",e=>this.onKey(e));
+}
+
+// ------------------------------------------------------------
+
+// Keys only reach this handler while focus is inside the widget, so
+// several readers on one page never fight over the arrows.
+
+onKey(e){
+  if(e.altKey||e.ctrlKey||e.metaKey) return;
+  if(/^(SELECT|INPUT|TEXTAREA)$/.test(e.target.tagName)) return;
+
+  const onMove=e.target.classList.contains("reader-move");
+
+  switch(e.key){
+    case "ArrowRight": this.next(); break;
+    case "ArrowLeft": this.prev(); break;
+    case "Home": this.gotoNode(null); break;
+    case "End": this.end(); break;
+    case "f": this.flip(); break;
+    case "Enter":
+    case " ":
+      if(!onMove) return;
+      e.target.click();
+      break;
+    default: return;
+  }
+  e.preventDefault();
 }
 
 // ------------------------------------------------------------
 
-gotoSpan(span){
-  if(!span) return;
+// Navigation follows the line the current move belongs to. `nav` maps
+// every rendered node to its span, the node before it (for the first
+// move of a variation: the move before the branch point) and the next
+// node in the same line.
 
-  const fen=span.dataset.fen;
+continuations(node){
+  const first=node ? this.nav.get(node).next : this.game.moves[0];
+  if(!first || !this.nav.has(first)) return [];
 
-  if(this.board) this.board.position(fen,true);
+  return [first,...first.variations
+    .map(v=>v[0])
+    .filter(n=>n && this.nav.has(n))];
+}
+
+// `auto` is set by autoplay; any other navigation stops it.
 
-  this.moveSpans.forEach(s=>s.classList.remove("reader-move-active"));
-  span.classList.add("reader-move-active");
+gotoNode(node,auto){
+  if(!auto) this.stop();
+  const hadFocus=this.moveSpans.includes(document.activeElement);
+
+  this.current=node||null;
+  this.moveSpans.forEach(s=>{
+    s.classList.remove("reader-move-active");
+    s.removeAttribute("aria-current");
+    s.tabIndex=-1;
+  });
+
+  if(!node){
+    if(this.board) this.board.position(this.game.fen,true);
+    if(hadFocus) this.wrapper.focus();
+  }else{
+    const span=this.nav.get(node).span;
+    if(this.board) this.board.position(node.fen,true);
+    span.classList.add("reader-move-active");
+    span.setAttribute("aria-current","true");
+    span.tabIndex=0;
+    if(hadFocus) span.focus({preventScroll:true});
+
+    // Never pull the page around while a game replays itself
+    if(auto) C.scrollContainerToChild(this.movesCol,span);
+    else C.mobileEnsureVisible(
+      this.wrapper,
+      this.movesCol,
+      span
+    );
+  }
+
+  this.drawShapes(node);
+  this.updateBranches();
+  this.updateEval(node);
+  this.updateClocks(node);
+  this.updateGraphCursors(node);
+  this.announce(node);
+}
+
+setOrientation(o){
+  this.orientation=o;
+  this.wrapper.classList.toggle("pgn-reader-flipped",o==="black");
+  if(this.board) this.board.orientation(o);
+}
+
+flip(){
+  this.setOrientation(this.orientation==="white" ? "black" : "white");
+  this.drawShapes(this.current);
+  this.updateClocks(this.current);
+}
 
-  C.mobileEnsureVisible(
-    this.wrapper,
-    this.movesCol,
-    span
+drawShapes(node){
+  C.drawAnnotations(
+    this.boardDiv,
+    node ? C.parseAnnotations(node.commands) : null,
+    this.orientation
   );
 }
 
+announce(node){
+  let msg="Start position";
+  if(node){
+    const notes=[node.commentBefore,...node.comments]
+      .map(c=>C.sanitizeComment(c||""))
+      .filter(Boolean);
+    msg=[C.speakMove(node),...notes].join(". ");
+  }
+
+  const alts=this.continuations(this.current);
+  if(alts.length>1) msg+=". "+alts.length+" continuations";
+  else if(!alts.length && node) msg+=". End of line";
+
+  C.announce(this.live,msg);
+}
+
+updateBranches(){
+  const alts=this.continuations(this.current);
+  this.branchesDiv.innerHTML="";
+  this.branchesDiv.hidden=alts.length<2;
+  if(alts.length<2) return;
+
+  alts.forEach((n,i)=>{
+    const b=document.createElement("button");
+    b.className="pgn-reader-branch"+(i===0?" pgn-reader-branch-main":"");
+    b.textContent=n.moveNumber+(n.color==="w"?".":"...")+C.NBSP+
+      figurine(unbreak(n.san));
+    b.setAttribute("aria-label",C.speakMove(n)+(i===0?"":", variation"));
+    b.addEventListener("click",()=>this.gotoNode(n));
+    this.branchesDiv.appendChild(b);
+  });
+}
+
 // ------------------------------------------------------------
 
-next(){
-  if(!this.mainlineMoves.length) return;
+// The eval graph and the clock chart plot the mainline: each move owns
+// a full-height column that can be clicked, and a cursor marks the
+// current move.
+
+makeGraph(div,label){
+  const w=this.mainline.length;
+  const svg=svgEl("svg",{
+    viewBox:"0 0 "+w+" 100",
+    preserveAspectRatio:"none",
+    role:"img",
+    "aria-label":label
+  });
+  svg.appendChild(svgEl("rect",{
+    class:"pgn-reader-graph-bg",x:0,y:0,width:w,height:100
+  }));
+  div.appendChild(svg);
+  return svg;
+}
 
-  if(this.mainlineIndex<0) this.mainlineIndex=0;
-  else this.mainlineIndex=Math.min(
-    this.mainlineIndex+1,
-    this.mainlineMoves.length-1
-  );
+finishGraph(svg,title){
+  const w=this.mainline.length;
 
-  this.gotoSpan(this.mainlineMoves[this.mainlineIndex]);
+  svg.appendChild(svgEl("line",{
+    class:"pgn-reader-graph-mid",x1:0,y1:50,x2:w,y2:50,
+    "vector-effect":"non-scaling-stroke"
+  }));
+
+  const cursor=svgEl("line",{
+    class:"pgn-reader-graph-cursor",y1:0,y2:100,
+    "vector-effect":"non-scaling-stroke"
+  });
+  svg.appendChild(cursor);
+  this.graphCursors.push(cursor);
+
+  this.mainline.forEach((n,i)=>{
+    const hit=svgEl("rect",{
+      class:"pgn-reader-graph-hit",x:i,y:0,width:1,height:100
+    });
+    const t=svgEl("title",{});
+    t.textContent=n.moveNumber+(n.color==="w"?". ":"... ")+n.san+
+      (title(n) ? " "+title(n) : "");
+    hit.appendChild(t);
+    hit.addEventListener("click",()=>this.gotoNode(n));
+    svg.appendChild(hit);
+  });
 }
 
-prev(){
-  if(!this.mainlineMoves.length) return;
+updateGraphCursors(node){
+  const i=this.mainline.indexOf(node);
+  this.graphCursors.forEach(c=>{
+    c.style.display=i<0?"none":"";
+    c.setAttribute("x1",i+.5);
+    c.setAttribute("x2",i+.5);
+  });
+}
 
-  if(this.mainlineIndex<=0){
-    this.mainlineIndex=-1;
-    if(this.board) this.board.position("start",true);
-    this.moveSpans.forEach(s=>s.classList.remove("reader-move-active"));
-    return;
+// Moves without [%eval] repeat the previous score.
+
+renderEvalGraph(){
+  const has=this.mainline.some(n=>n.commands.eval!==undefined);
+
+  this.evalGraphDiv.innerHTML="";
+  this.evalGraphDiv.hidden=!has;
+
+  if(this.evalBar.hidden===has){
+    this.evalBar.hidden=!has;
+    if(this.board) this.board.resize();
+  }
+  if(!has) return;
+
+  const svg=this.makeGraph(this.evalGraphDiv,"Evaluation graph");
+  const w=this.mainline.length;
+
+  let last=null;
+  const pts=this.mainline.map((n,i)=>{
+    last=C.parseEval(n.commands.eval)||last;
+    return (i+.5)+","+(100-C.evalPercent(last)).toFixed(2);
+  });
+
+  svg.appendChild(svgEl("polygon",{
+    class:"pgn-reader-evalgraph-area",
+    points:"0,100 "+pts.join(" ")+" "+w+",100"
+  }));
+
+  this.finishGraph(svg,n=>C.formatEval(C.parseEval(n.commands.eval)));
+}
+
+updateEval(node){
+  if(this.evalBar.hidden) return;
+
+  let n=node;
+  while(n && n.commands.eval===undefined) n=this.nav.get(n).prev;
+  const ev=n ? C.parseEval(n.commands.eval) : null;
+
+  this.evalFill.style.height=C.evalPercent(ev)+"%";
+  this.evalText.textContent=C.formatEval(ev);
+  this.evalBar.title=C.formatEval(ev);
+}
+
+// ------------------------------------------------------------
+
+// Clocks show what each side had left after its last move on the path
+// to the current one; before that, the TimeControl base time.
+
+setupClocks(){
+  const head=this.game.headers;
+  const has=[...this.nav.keys()].some(n=>n.commands.clk!==undefined);
+
+  this.timeControl=C.parseTimeControl(head.TimeControl);
+  this.clockNames={
+    w:C.flipName(head.White||"White"),
+    b:C.flipName(head.Black||"Black")
+  };
+
+  this.clockTop.hidden=!has;
+  this.clockBottom.hidden=!has;
+
+  this.clockChartDiv.innerHTML="";
+  this.clockChartDiv.hidden=!(has && this.clockChart);
+  if(has && this.clockChart) this.renderClockChart();
+}
+
+fillClock(el,color,sec,active){
+  el.innerHTML="";
+  const name=document.createElement("span");
+  name.className="pgn-reader-clock-name";
+  name.textContent=this.clockNames[color];
+  const time=document.createElement("span");
+  time.className="pgn-reader-clock-time";
+  time.textContent=C.formatClock(sec);
+  el.append(name,time);
+  el.classList.toggle("pgn-reader-clock-active",active);
+}
+
+updateClocks(node){
+  if(this.clockTop.hidden) return;
+
+  const left={};
+  for(let n=node;n;n=this.nav.get(n).prev){
+    if(n.commands.clk!==undefined && !(n.color in left))
+      left[n.color]=C.parseClock(n.commands.clk);
   }
 
-  this.mainlineIndex--;
-  this.gotoSpan(this.mainlineMoves[this.mainlineIndex]);
+  const base=this.timeControl ? this.timeControl.base : null;
+  const toMove=(node ? node.fen : this.game.fen).split(" ")[1];
+  const flip=this.orientation==="black";
+  const top=flip?"w":"b",bottom=flip?"b":"w";
+
+  this.fillClock(this.clockTop,top,left[top]??base,toMove===top);
+  this.fillClock(this.clockBottom,bottom,left[bottom]??base,toMove===bottom);
+}
+
+// Time used = previous clock + increment - clock after the move.
+
+renderClockChart(){
+  const inc=this.timeControl ? this.timeControl.inc : 0;
+  const base=this.timeControl ? this.timeControl.base : null;
+  const prev={w:base,b:base};
+
+  const used=this.mainline.map(n=>{
+    const c=C.parseClock(n.commands.clk);
+    if(c===null) return null;
+    const u=prev[n.color]===null ? null : Math.max(0,prev[n.color]+inc-c);
+    prev[n.color]=c;
+    return u;
+  });
+
+  const max=Math.max(1,...used.filter(u=>u!==null));
+  const svg=this.makeGraph(this.clockChartDiv,"Time used per move");
+
+  this.mainline.forEach((n,i)=>{
+    if(!used[i]) return;
+    const h=used[i]/max*48;
+    svg.appendChild(svgEl("rect",{
+      class:"pgn-reader-clockchart-"+n.color,
+      x:i+.1,width:.8,
+      y:n.color==="w" ? 50-h : 50,height:h
+    }));
+  });
+
+  this.finishGraph(svg,n=>{
+    const u=used[this.mainline.indexOf(n)];
+    return u===null ? "" : C.formatClock(u)+" used";
+  });
+}
+
+// ------------------------------------------------------------
+
+next(){
+  const alts=this.continuations(this.current);
+  if(alts.length) this.gotoNode(alts[0]);
+}
+
+prev(){
+  if(!this.current) return;
+  this.gotoNode(this.nav.get(this.current).prev);
+}
+
+end(){
+  let node=this.current,alts;
+  while((alts=this.continuations(node)).length) node=alts[0];
+  if(node!==this.current) this.gotoNode(node);
+}
+
+// ------------------------------------------------------------
+
+// Autoplay follows the main continuation and lingers on comments long
+// enough to read them (about 200 words a minute).
+
+play(){
+  if(this.timer) return;
+  if(!this.continuations(this.current).length) this.gotoNode(null,true);
+
+  this.playBtn.textContent="⏸";
+  this.playBtn.setAttribute("aria-label","Pause");
+  this.timer=setTimeout(()=>this.tick(),this.speed);
+}
+
+stop(){
+  if(!this.timer) return;
+  clearTimeout(this.timer);
+  this.timer=null;
+
+  this.playBtn.textContent="⏵";
+  this.playBtn.setAttribute("aria-label","Play");
+}
+
+tick(){
+  const alts=this.continuations(this.current);
+  if(!alts.length) return this.stop();
+
+  this.gotoNode(alts[0],true);
+  if(!this.continuations(this.current).length) return this.stop();
+
+  this.timer=setTimeout(()=>this.tick(),this.speed+this.readingTime(this.current));
+}
+
+readingTime(node){
+  const words=[node.commentBefore,...node.comments]
+    .map(c=>C.sanitizeComment(c||"")||"")
+    .join(" ")
+    .split(/\s+/)
+    .filter(Boolean).length;
+  return words*300;
+}
+
+playWhenVisible(){
+  if(!("IntersectionObserver" in window)) return this.play();
+
+  const io=new IntersectionObserver(entries=>{
+    if(!entries.some(e=>e.isIntersecting)) return;
+    io.disconnect();
+    this.play();
+  },{threshold:.5});
+  io.observe(this.wrapper);
 }
 
 // ------------------------------------------------------------
 
 bindMoveClicks(){
-  this.moveSpans.forEach(span=>{
-    span.style.cursor="pointer";
-    span.addEventListener("click",()=>{
-      const idx=this.mainlineMoves.indexOf(span);
-      if(idx!==-1) this.mainlineIndex=idx;
-      this.gotoSpan(span);
-    });
+  this.nav.forEach((info,node)=>{
+    info.span.style.cursor="pointer";
+    info.span.addEventListener("click",()=>this.gotoNode(node));
   });
 }
 
@@ -383,7 +830,7 @@ bindMoveClicks(){
 // ============================================================
 
 function init(){
-  document.querySelectorAll("pgn-reader")
+  document.querySelectorAll("pgn-reader, pgn-reader-black")
     .forEach(el=>new ReaderPGNView(el));
 }
 
@@ -29,58 +29,28 @@
   // Helpers
   // --------------------------------------------------------------------------
 
-  function sanitizeComment(t) {
-    const c = String(t || "")
-      .replace(/\[%.*?]/g, "")
-      .replace(/\[D\]/g, "")
-      .replace(/[{}]/g, "")
-      .replace(/\s+/g, " ")
-      .trim();
-    return c || null;
-  }
-
-  function sanitizeVariationText(t) {
-    let x = String(t || "")
-      .replace(/\[%.*?]/g, "")
-      .replace(/\[D\]/g, "")
-      .replace(/\{[^}]*\}/g, "")
-      .replace(/\s+/g, " ")
-      .trim();
-
-    if (!x) return null;
-    if (x.startsWith("(")) x = x.slice(1);
-    if (x.endsWith(")")) x = x.slice(0, -1);
-    return x.trim() || null;
-  }
-
-  function stripHeaders(pgn) {
-    return pgn.replace(/^\s*\[[^\]]*\]\s*$/gm, "");
-  }
+  function variationText(line) {
+    let out = "", interrupted = true;
+
+    line.forEach(n => {
+      if (!n.fen) return;
+      if (n.color === "w") out += n.moveNumber + ". ";
+      else if (interrupted) out += n.moveNumber + "... ";
+      out += n.san + " ";
+      interrupted = false;
+
+      n.comments.forEach(c => {
+        const txt = C.sanitizeComment(c);
+        if (txt) { out += txt + " "; interrupted = true; }
+      });
 
-  function extractHeaders(pgn) {
-    const h = {};
-    pgn.replace(/^\s*\[(\w+)\s+"([^"]*)"\]\s*$/gm, (_, k, v) => {
-      h[k] = v;
+      n.variations.forEach(v => {
+        const sub = variationText(v);
+        if (sub) { out += "(" + sub + ") "; interrupted = true; }
+      });
     });
-    return h;
-  }
 
-  function captureVariation(raw, i) {
-    let j = i, d = 0;
-    while (j < raw.length) {
-      if (raw[j] === "(") d++;
-      else if (raw[j] === ")") {
-        d--;
-        if (d === 0) return { text: raw.slice(i, j + 1), next: j + 1 };
-      }
-      j++;
-    }
-    return { text: raw.slice(i), next: raw.length };
-  }
-
-  function resultFromRaw(rawAll) {
-    const m = String(rawAll || "").match(/\b(1-0|0-1|1\/2-1\/2)\b\s*$/);
-    return m ? m[1] : "";
+    return out.trim() || null;
   }
 
   // --------------------------------------------------------------------------
@@ -90,7 +60,7 @@
   class TrainingView {
     constructor(src) {
       this.rawText = (src.textContent || "").trim();
-      this.headers = extractHeaders(this.rawText);
+      this.headers = C.parseHeaders(this.rawText).headers;
 
       this.flip = src.tagName.toLowerCase() === "pgn-training-black";
       this.userIsWhite = !this.flip;
@@ -99,16 +69,20 @@
       this.index = -1;
       this.isSolved = false;
 
+      this.variant = "standard";
       this.game = new Chess();
       this.currentFen = "start";
+      this.promoting = false;
 
       this.mainlineP = null;
+      this.moveSpans = [];
+      this.spoken = [];
 
       this.build(src);
       this.initBoard();
       this.parsePGNAsync();
 
-      this.flowBroken = false;
+      this.flowBroken = true;
       this.suppressAutoScroll = false;
     }
 
@@ -121,6 +95,32 @@
       if (type === "wrong") this.feedbackEl.textContent = "❌";
       else if (type === "correct") this.feedbackEl.textContent = "✅";
       else if (type === "solved") this.solvedEl.hidden = false;
+
+      if (type === "wrong") this.say("Wrong move, try again");
+      else if (type === "solved") this.say("Solved");
+    }
+
+    // Messages raised during one move are read out together
+    say(msg) {
+      this.spoken.push(msg);
+      if (this.spoken.length > 1) return;
+
+      setTimeout(() => {
+        C.announce(this.live, this.spoken.join(". "));
+        this.spoken = [];
+      }, 0);
+    }
+
+    moveName(m) {
+      return C.speakMove({
+        moveNumber: m.moveNo,
+        color: m.isWhite ? "w" : "b",
+        san: m.san
+      });
+    }
+
+    moveMessage(m) {
+      return [this.moveName(m), ...m.comments].join(". ");
     }
 
     // -----------------------------------------------------------
@@ -128,6 +128,10 @@
     build(src) {
       const wrap = document.createElement("div");
       wrap.className = "pgn-training-wrapper";
+      wrap.tabIndex = 0;
+      wrap.setAttribute("role", "group");
+      wrap.setAttribute("aria-label", "Training: play the " +
+        (this.userIsWhite ? "white" : "black") + " moves");
       this.wrapper = wrap;
 
       const header = this.buildHeader();
@@ -140,11 +144,11 @@
           <div class="pgn-training-board"></div>
           <div class="pgn-training-status">
             <span class="turn"></span>
-            <span class="feedback"></span>
-            <span class="solved" hidden>🏆</span>
+            <span class="feedback" aria-hidden="true"></span>
+            <span class="solved" aria-hidden="true" hidden>🏆</span>
             <span class="pgn-training-actions" hidden>
-              <button data-act="prev">◀</button>
-              <button data-act="next">▶</button>
+              <button data-act="prev" aria-label="Previous move">◀</button>
+              <button data-act="next" aria-label="Next move">▶</button>
             </span>
           </div>
         </div>
@@ -152,6 +156,10 @@
       `;
 
       wrap.appendChild(cols);
+
+      this.live = C.createLiveRegion();
+      wrap.appendChild(this.live);
+
       src.replaceWith(wrap);
 
       this.boardDiv = cols.querySelector(".pgn-training-board");
@@ -167,6 +175,30 @@
 
       this.btnPrev.onclick = () => this.step(-1);
       this.btnNext.onclick = () => this.step(1);
+
+      wrap.addEventListener("keydown", e => this.onKey(e));
+    }
+
+    // Browsing the game is only unlocked once it has been solved
+    onKey(e) {
+      if (e.altKey || e.ctrlKey || e.metaKey) return;
+      if (!this.isSolved) return;
+
+      const onMove = this.moveSpans.includes(e.target);
+
+      switch (e.key) {
+        case "ArrowRight": this.step(1); break;
+        case "ArrowLeft": this.step(-1); break;
+        case "Home": this.goto(-1); break;
+        case "End": this.goto(this.moves.length - 1); break;
+        case "Enter":
+        case " ":
+          if (!onMove) return;
+          e.target.click();
+          break;
+        default: return;
+      }
+      e.preventDefault();
     }
 
     buildHeader() {
@@ -200,85 +232,72 @@
           pieceTheme: C.PIECE_THEME_URL,
           onDragStart: () => this.isGuessTurn(),
           onDrop: (s, t) => this.onUserDrop(s, t),
-          onSnapEnd: () => this.board.position(this.currentFen, false)
+          onSnapEnd: () => {
+            if (!this.promoting) this.board.position(this.currentFen, false);
+          }
         });
       });
+
+      C.clickToMove(this.boardDiv, {
+        game: () => this.game,
+        canMove: () => this.isGuessTurn(),
+        onMove: (s, t) => this.onUserDrop(s, t)
+      });
     }
 
     parsePGNAsync() {
-      const rawAll = C.normalizeFigurines(this.rawText);
-      const raw = stripHeaders(rawAll);
-      this.result = resultFromRaw(rawAll);
-
-      const chess = new Chess();
-      let i = 0, ply = 0;
-
-      const step = () => {
-        const start = performance.now();
-
-        while (i < raw.length) {
-          if (performance.now() - start > 8) {
-            requestAnimationFrame(step);
-            return;
-          }
-
-          const ch = raw[i];
-
-          if (ch === "{") {
-            let j = i + 1;
-            while (j < raw.length && raw[j] !== "}") j++;
-            const c = sanitizeComment(raw.slice(i + 1, j));
-            if (c && this.moves.length)
-              this.moves[this.moves.length - 1].comments.push(c);
-            i = j + 1;
-            continue;
-          }
-
-          if (ch === "(") {
-            const cap = captureVariation(raw, i);
-            const v = sanitizeVariationText(cap.text);
-            if (v && this.moves.length)
-              this.moves[this.moves.length - 1].variations.push(v);
-            i = cap.next;
-            continue;
-          }
-
-          if (/\s/.test(ch)) { i++; continue; }
-
-          const s = i;
-          while (i < raw.length && !/\s/.test(raw[i]) && !"(){}".includes(raw[i])) i++;
-          const tok = raw.slice(s, i);
+      requestAnimationFrame(() => {
+        const game = C.parse(this.rawText);
+        this.result = game.result === "*" ? "" : game.result;
 
-          if (/^\d+\.{1,3}$/.test(tok)) continue;
+        if (game.error) {
+          const p = document.createElement("p");
+          p.className = "pgn-error";
+          p.textContent = game.error;
+          this.rightPane.appendChild(p);
+          return;
+        }
 
-          const san = C.normalizeSAN(tok);
-          if (!san) continue;
+        this.variant = game.variant;
+        this.game = C.createGame(game.variant);
+        this.startFen = game.fen;
+        this.currentFen = game.fen;
+        this.game.load(game.fen);
+        if (this.board) this.board.position(game.fen, false);
 
-          let moved = false;
-          try { moved = chess.move(san, { sloppy: true }); } catch {}
-          if (!moved) continue;
+        for (const n of game.moves) {
+          if (!n.fen) break;
 
           this.moves.push({
-            isWhite: ply % 2 === 0,
-            moveNo: Math.floor(ply / 2) + 1,
-            san: tok,
-            fen: chess.fen(),
-            comments: [],
-            variations: []
+            isWhite: n.color === "w",
+            moveNo: n.moveNumber,
+            san: n.san,
+            fen: n.fen,
+            comments: n.comments.map(C.sanitizeComment).filter(Boolean),
+            shapes: C.parseAnnotations(n.commands),
+            variations: n.variations.map(variationText).filter(Boolean)
           });
-
-          ply++;
         }
 
         this.updateTurn();
         this.autoplayOpponentMoves();
-      };
+      });
+    }
 
-      requestAnimationFrame(step);
+    drawShapes() {
+      const m = this.moves[this.index];
+      C.drawAnnotations(
+        this.boardDiv,
+        m ? m.shapes : null,
+        this.flip ? "black" : "white"
+      );
     }
 
     updateTurn() {
-      this.turnEl.textContent = this.game.turn() === "w" ? "⚐" : "⚑";
+      const white = this.game.turn() === "w";
+      this.turnEl.textContent = white ? "⚐" : "⚑";
+      this.turnEl.setAttribute("aria-label",
+        (white ? "White" : "Black") + " to move");
     }
 
     isGuessTurn() {
@@ -294,6 +313,7 @@
         this.game.move(C.normalizeSAN(n.san), { sloppy: true });
         this.currentFen = n.fen;
         this.board.position(n.fen, true);
+        this.drawShapes();
         this.suppressAutoScroll = true;
         this.appendMove();
         this.suppressAutoScroll = false;
@@ -309,10 +329,33 @@
       const expected = this.moves[this.index + 1];
       if (!expected) return "snapback";
 
-      const legal = this.game.moves({ verbose: true });
-      const ok = legal.some(m => {
-        if (m.from !== source || m.to !== target) return false;
-        const g = new Chess(this.game.fen());
+      // A Chess960 castle may be dropped on the king or the rook target
+      const legal = this.game.moves({ verbose: true })
+        .filter(m => m.from === source && (m.to === target || m.rook === target));
+
+      // The pawn waits on the last rank until a piece is picked
+      if (legal.some(m => m.promotion)) {
+        this.promoting = true;
+        C.choosePromotion(this.game.turn()).then(p => {
+          this.promoting = false;
+          if (!p) return this.board.position(this.currentFen, false);
+          const picked = legal.filter(m => m.promotion === p);
+          if (this.playGuess(picked, expected) === "snapback") {
+            this.board.position(this.currentFen, false);
+          }
+        });
+        return;
+      }
+
+      return this.playGuess(legal, expected);
+    }
+
+    // Plays the guess if one of the candidate moves reaches the expected
+    // position (a Chess960 king drop can be a king move or a castle)
+    playGuess(candidates, expected) {
+      const ok = candidates.some(m => {
+        const g = C.createGame(this.variant);
+        g.load(this.game.fen());
         g.move(m);
         return g.fen() === expected.fen;
       });
@@ -328,6 +371,7 @@
       this.game.load(expected.fen);
       this.currentFen = expected.fen;
       this.board.position(expected.fen, false);
+      this.drawShapes();
       this.appendMove();
       this.suppressAutoScroll = false;
 
@@ -337,26 +381,36 @@
         this.isSolved = true;
         this.setStatus("solved");
         this.actionsEl.hidden = false;
+        this.enableMoveButtons();
       }
 
       setTimeout(() => this.autoplayOpponentMoves(), 400);
     }
 
     step(dir) {
-      const next = this.index + dir;
+      this.goto(this.index + dir);
+    }
+
+    goto(next) {
+      if (next === this.index) return;
       if (next < -1 || next >= this.moves.length) return;
 
       this.index = next;
-      this.game.reset();
+      this.game.load(this.startFen);
       for (let i = 0; i <= this.index; i++) {
         this.game.move(C.normalizeSAN(this.moves[i].san), { sloppy: true });
       }
 
-      this.currentFen = this.index >= 0 ? this.moves[this.index].fen : "start";
+      this.currentFen = this.index >= 0 ? this.moves[this.index].fen : this.startFen;
       this.board.position(this.currentFen, false);
+      this.drawShapes();
       this.updateTurn();
       this.updateButtons();
       this.setStatus(null);
+      this.markCurrent();
+      C.announce(this.live, this.index >= 0
+        ? this.moveMessage(this.moves[this.index])
+        : "Start position");
 
 if (!this.suppressAutoScroll) {
   C.mobileEnsureVisible(
@@ -367,6 +421,31 @@ if (!this.suppressAutoScroll) {
 }
     }
 
+    enableMoveButtons() {
+      this.moveSpans.forEach((span, i) => {
+        span.setAttribute("role", "button");
+        span.tabIndex = -1;
+        span.style.cursor = "pointer";
+        span.addEventListener("click", () => this.goto(i));
+      });
+      this.markCurrent();
+    }
+
+    markCurrent() {
+      const hadFocus = this.moveSpans.includes(document.activeElement);
+
+      this.moveSpans.forEach((span, i) => {
+        const on = i === this.index;
+        span.classList.toggle("training-move-active", on);
+        if (on) span.setAttribute("aria-current", "true");
+        else span.removeAttribute("aria-current");
+        if (this.isSolved) span.tabIndex = on ? 0 : -1;
+      });
+
+      const cur = this.moveSpans[this.index];
+      if (hadFocus) (cur || this.wrapper).focus({ preventScroll: true });
+    }
+
     updateButtons() {
       this.btnPrev.disabled = this.index < 0;
       this.btnNext.disabled = this.index >= this.moves.length - 1;
@@ -399,7 +478,10 @@ if (!this.suppressAutoScroll) {
       const span = document.createElement("span");
       span.className = "pgn-move";
       span.textContent = m.san + "\u00A0";
+      span.setAttribute("aria-label", this.moveName(m));
       this.mainlineP.appendChild(span);
+      this.moveSpans.push(span);
+      this.say(this.moveMessage(m));
 
       this.flowBroken = false;
       let brokeFlow = false;
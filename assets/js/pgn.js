@@ -21,30 +21,32 @@
   let diagramCounter = 0;
 
   // ---- Chessboard 1003 fix (consistent across files) ------------------------
-  function safeChessboard(target, options, tries = 30) {
+  function safeChessboard(target, options, tries = 30, onReady) {
     if (!HAS_CHESSBOARD) return null;
 
     const el =
       typeof target === "string" ? document.getElementById(target) : target;
 
     if (!el) {
-      if (tries > 0) requestAnimationFrame(() => safeChessboard(target, options, tries - 1));
+      if (tries > 0) requestAnimationFrame(() => safeChessboard(target, options, tries - 1, onReady));
       return null;
     }
 
     // must be in DOM & have layout
     const rect = el.getBoundingClientRect();
     if ((rect.width <= 0 || rect.height <= 0) && tries > 0) {
-      requestAnimationFrame(() => safeChessboard(target, options, tries - 1));
+      requestAnimationFrame(() => safeChessboard(target, options, tries - 1, onReady));
       return null;
     }
 
     try {
-      return window.Chessboard(el, options);
+      const board = window.Chessboard(el, options);
+      if (onReady) onReady(board);
+      return board;
     } catch (err) {
       // If layout is still not ready, retry a bit (prevents intermittent 1003)
       if (tries > 0) {
-        requestAnimationFrame(() => safeChessboard(target, options, tries - 1));
+        requestAnimationFrame(() => safeChessboard(target, options, tries - 1, onReady));
         return null;
       }
       console.warn("pgn.js: Chessboard init failed", err);
@@ -53,7 +55,7 @@
   }
   // --------------------------------------------------------------------------
 
-  function createDiagram(parent, fen) {
+  function createDiagram(parent, fen, shapes) {
     if (!HAS_CHESSBOARD || !parent || !fen) return;
 
     const id = "pgn-diagram-" + diagramCounter++;
@@ -66,30 +68,7 @@
       position: fen,
       draggable: false,
       pieceTheme: C.PIECE_THEME_URL
-    });
-  }
-
-  function isSANCore(token) {
-    return C.SAN_CORE_REGEX.test(token);
-  }
-
-  function splitPGNText(text) {
-    const lines = text.split(/\r?\n/);
-    const headers = [];
-    const moves = [];
-    let inHeaders = true;
-
-    for (const line of lines) {
-      const t = line.trim();
-      if (inHeaders && t.startsWith("[") && t.endsWith("]")) headers.push(line);
-      else if (inHeaders && t === "") inHeaders = false;
-      else {
-        inHeaders = false;
-        moves.push(line);
-      }
-    }
-
-    return { headers, moveText: moves.join(" ").replace(/\s+/g, " ").trim() };
+    }, 30, () => C.drawAnnotations(div, shapes, "white"));
   }
 
   function appendText(el, txt) {
@@ -101,7 +80,7 @@
       this.sourceEl = srcEl;
       this.wrapper = document.createElement("div");
       this.wrapper.className = "pgn-blog-block";
-      this.finalResultPrinted = false;
+      this.showClocks = srcEl.hasAttribute("clocks");
 
       this.build();
       this.applyFigurines();
@@ -115,27 +94,11 @@
         return;
       }
 
-      raw = C.normalizeFigurines(raw);
+      const game = C.parse(raw);
 
-      const { headers, moveText } = splitPGNText(raw);
-      const pgn = (headers.length ? headers.join("\n") + "\n\n" : "") + moveText;
-
-      const chess = new Chess();
-      try {
-        chess.load_pgn(pgn, { sloppy: true });
-      } catch {}
-
-      let head = {};
-      try {
-        head = chess.header ? chess.header() : {};
-      } catch {}
-
-      const res = C.normalizeResult((head && head.Result) || "");
-      const hasResultAlready = / (1-0|0-1|1\/2-1\/2|½-½|\*)$/.test(moveText);
-      const movetext = hasResultAlready ? moveText : moveText + (res ? " " + res : "");
-
-      this.renderHeader(head);
-      this.parseMovetext(movetext);
+      this.renderHeader(game.headers);
+      this.showOpening(game);
+      this.renderGame(game);
 
       try {
         this.sourceEl.replaceWith(this.wrapper);
@@ -162,7 +125,16 @@
   const line = (h.Event || "") + (Y ? ", " + Y : "");
   appendText(H4, line);
   this.wrapper.appendChild(H4);
+  this.subheader = H4;
 }
+
+    // The opening arrives later when it has to be looked up in the book
+    showOpening(game) {
+      C.openingOf(game).then(o => {
+        if (!o) return;
+        appendText(this.subheader, (this.subheader.textContent ? " · " : "") + C.formatOpening(o));
+      });
+    }
     ensureContainer(ctx, cls) {
       if (!ctx.container) {
         const p = document.createElement("p");
@@ -172,23 +144,14 @@
       }
     }
 
-    parseComment(text, startIndex, ctx) {
-      let j = startIndex;
-      while (j < text.length && text[j] !== "}") j++;
-
-      let raw = text.substring(startIndex, j).trim();
-      if (text[j] === "}") j++;
-
-      raw = raw.replace(/\[%.*?]/g, "").trim();
-      if (!raw.length) return j;
-
+    renderComment(raw, fen, ctx, shapes) {
       const parts = raw.split("[D]");
       for (let k = 0; k < parts.length; k++) {
         const c = parts[k].trim();
 
         if (ctx.type === "variation") {
           this.ensureContainer(ctx, "pgn-variation");
-          if (c) appendText(ctx.container, " " + c);
+          if (c) appendText(ctx.container, " " + c + " ");
         } else {
           if (c) {
             const p = document.createElement("p");
@@ -199,178 +162,95 @@
           ctx.container = null;
         }
 
-        if (k < parts.length - 1) createDiagram(this.wrapper, ctx.chess.fen());
+        if (k < parts.length - 1) createDiagram(this.wrapper, fen, shapes);
       }
 
       ctx.lastWasInterrupt = true;
-      return j;
     }
 
-    handleSAN(tok, ctx) {
-      const core = tok.replace(/[^a-hKQRBN0-9=O0-]+$/g, "").replace(/0/g, "O");
-      if (!isSANCore(core)) {
-        appendText(ctx.container, tok + " ");
-        return null;
-      }
+    // `before` is the position before the move, where a [D] in the
+    // comment ahead of it is drawn
+    renderMove(node, ctx, before) {
+      const cls = ctx.type === "main" ? "pgn-mainline" : "pgn-variation";
+      const unbreak = typeof C.makeCastlingUnbreakable === "function" ? C.makeCastlingUnbreakable : (x) => x;
 
-      const base = ctx.baseHistoryLen || 0;
-      const count = ctx.chess.history().length;
-      const ply = base + count;
-      const white = ply % 2 === 0;
-      const num = Math.floor(ply / 2) + 1;
+      const shapes = C.parseAnnotations(node.commands);
 
-      if (white) appendText(ctx.container, num + "." + C.NBSP);
-      else if (ctx.lastWasInterrupt) appendText(ctx.container, num + "..." + C.NBSP);
+      if (node.commentBefore) this.renderComment(node.commentBefore, before, ctx, shapes);
 
-      ctx.prevFen = ctx.chess.fen();
-      ctx.prevHistoryLen = ply;
+      this.ensureContainer(ctx, cls);
 
-      const mv = ctx.chess.move(core, { sloppy: true });
-      if (!mv) {
-        appendText(ctx.container, tok + " ");
-        return null;
+      if (!node.fen) {
+        appendText(ctx.container, node.san + " ");
+        return;
       }
 
+      if (node.color === "w") appendText(ctx.container, node.moveNumber + "." + C.NBSP);
+      else if (ctx.lastWasInterrupt) appendText(ctx.container, node.moveNumber + "..." + C.NBSP);
+
       ctx.lastWasInterrupt = false;
 
+      const quality = node.nags.filter(n => n <= 6);
+      const other = node.nags.filter(n => n > 6 && C.NAG_MAP[n]);
+
       const span = document.createElement("span");
       span.className = "pgn-move";
-      const unbreak = typeof C.makeCastlingUnbreakable === "function" ? C.makeCastlingUnbreakable : (x) => x;
-      span.textContent = unbreak(tok) + " ";
+      span.textContent = unbreak(node.san) + quality.map(n => C.NAG_MAP[n]).join("") + " ";
       ctx.container.appendChild(span);
 
-      return span;
+      if (this.showClocks && node.commands.clk !== undefined) {
+        const clk = document.createElement("span");
+        clk.className = "pgn-clock";
+        clk.textContent = C.formatClock(C.parseClock(node.commands.clk));
+        ctx.container.appendChild(clk);
+        appendText(ctx.container, " ");
+      }
+
+      other.forEach(n => appendText(ctx.container, C.NAG_MAP[n] + " "));
+      node.glyphs.forEach(g => appendText(ctx.container, g + " "));
+
+      node.comments.forEach(c => this.renderComment(c, node.fen, ctx, shapes));
+
+      node.variations.forEach(line => {
+        this.renderLine(line, {
+          type: "variation",
+          container: null,
+          lastWasInterrupt: true
+        }, before);
+        ctx.lastWasInterrupt = true;
+        ctx.container = null;
+      });
     }
 
-    parseMovetext(t) {
-      const chess = new Chess();
+    renderLine(line, ctx, fen) {
+      line.forEach(node => {
+        this.renderMove(node, ctx, fen);
+        fen = node.fen;
+      });
+    }
 
-      let ctx = {
+    renderGame(game) {
+      const ctx = {
         type: "main",
-        chess,
         container: null,
-        parent: null,
-        lastWasInterrupt: false,
-        prevFen: chess.fen(),
-        prevHistoryLen: 0,
-        baseHistoryLen: null
+        lastWasInterrupt: true
       };
 
-      let i = 0;
-      while (i < t.length) {
-        const ch = t[i];
-
-        if (/\s/.test(ch)) {
-          while (i < t.length && /\s/.test(t[i])) i++;
-          this.ensureContainer(ctx, ctx.type === "main" ? "pgn-mainline" : "pgn-variation");
-          appendText(ctx.container, " ");
-          continue;
-        }
-
-        if (ch === "(") {
-          i++;
-          const fen = ctx.prevFen || ctx.chess.fen();
-          const len = typeof ctx.prevHistoryLen === "number" ? ctx.prevHistoryLen : ctx.chess.history().length;
-
-          ctx = {
-            type: "variation",
-            chess: new Chess(fen),
-            container: null,
-            parent: ctx,
-            lastWasInterrupt: true,
-            prevFen: fen,
-            prevHistoryLen: len,
-            baseHistoryLen: len
-          };
-          this.ensureContainer(ctx, "pgn-variation");
-          continue;
-        }
-
-        if (ch === ")") {
-          i++;
-          if (ctx.parent) {
-            ctx = ctx.parent;
-            ctx.lastWasInterrupt = true;
-            ctx.container = null;
-          }
-          continue;
-        }
-
-        if (ch === "{") {
-          i = this.parseComment(t, i + 1, ctx);
-          continue;
-        }
-
-        const start = i;
-        while (i < t.length && !/\s/.test(t[i]) && !"(){}".includes(t[i])) i++;
-        const tok = t.substring(start, i);
-        if (!tok) continue;
-
-        if (/^\[%.*]$/.test(tok)) continue;
-
-        if (tok === "[D]") {
-          createDiagram(this.wrapper, ctx.chess.fen());
-          ctx.lastWasInterrupt = true;
-          ctx.container = null;
-          continue;
-        }
-
-        if (C.RESULT_REGEX.test(tok)) {
-          if (!this.finalResultPrinted) {
-            this.finalResultPrinted = true;
-            this.ensureContainer(ctx, ctx.type === "main" ? "pgn-mainline" : "pgn-variation");
-            appendText(ctx.container, tok + " ");
-          }
-          continue;
-        }
-
-        if (C.MOVE_NUMBER_REGEX.test(tok)) continue;
-
-        const core = tok.replace(/[^a-hKQRBN0-9=O0-]+$/g, "").replace(/0/g, "O");
-        const san = isSANCore(core);
-
-        if (!san) {
-          if (C.EVAL_MAP[tok]) {
-            this.ensureContainer(ctx, ctx.type === "main" ? "pgn-mainline" : "pgn-variation");
-            appendText(ctx.container, C.EVAL_MAP[tok] + " ");
-            continue;
-          }
-
-          if (tok[0] === "$") {
-            const code = +tok.slice(1);
-            if (C.NAG_MAP[code]) {
-              this.ensureContainer(ctx, ctx.type === "main" ? "pgn-mainline" : "pgn-variation");
-              appendText(ctx.container, C.NAG_MAP[code] + " ");
-            }
-            continue;
-          }
+      if (game.error) {
+        const p = document.createElement("p");
+        p.className = "pgn-error";
+        appendText(p, game.error);
+        this.wrapper.appendChild(p);
+      }
 
-          if (/[A-Za-zÇĞİÖŞÜçğıöşü]/.test(tok)) {
-            if (ctx.type === "variation") {
-              this.ensureContainer(ctx, "pgn-variation");
-              appendText(ctx.container, " " + tok);
-            } else {
-              const p = document.createElement("p");
-              p.className = "pgn-comment";
-              appendText(p, tok);
-              this.wrapper.appendChild(p);
-              ctx.container = null;
-              ctx.lastWasInterrupt = false;
-            }
-          } else {
-            this.ensureContainer(ctx, ctx.type === "main" ? "pgn-mainline" : "pgn-variation");
-            appendText(ctx.container, tok + " ");
-          }
+      if (game.comment) this.renderComment(game.comment, game.fen, ctx);
 
-          continue;
-        }
+      this.renderLine(game.moves, ctx, game.fen);
 
-        this.ensureContainer(ctx, ctx.type === "main" ? "pgn-mainline" : "pgn-variation");
-        const m = this.handleSAN(tok, ctx);
-        if (!m) {
-          const unbreak = typeof C.makeCastlingUnbreakable === "function" ? C.makeCastlingUnbreakable : (x) => x;
-          appendText(ctx.container, unbreak(tok) + " ");
-        }
+      const res = C.normalizeResult(game.result);
+      if (res) {
+        this.ensureContainer(ctx, "pgn-mainline");
+        appendText(ctx.container, res + " ");
       }
     }
 
@@ -9,6 +9,12 @@
     console.warn("JekyllChess: chess.js or chessboard.js missing");
     return;
   }
+  if (!window.PGNCore) {
+    console.warn("JekyllChess: PGNCore missing");
+    return;
+  }
+
+  const C = window.PGNCore;
 
   const PIECE_THEME =
     "https://chessboardjs.com/img/chesspieces/wikipedia/{piece}.png";
@@ -40,24 +46,6 @@
       .trim();
   }
 
-  function tokenizeMoves(text) {
-    let s = String(text || "");
-    s = s.replace(/\{[\s\S]*?\}/g, " ");
-    s = s.replace(/;[^\n]*/g, " ");
-    while (/\([^()]*\)/.test(s)) s = s.replace(/\([^()]*\)/g, " ");
-    s = s.replace(/\$\d+/g, " ");
-    s = s.replace(/\s+/g, " ").trim();
-
-    return s
-      .split(" ")
-      .map(t => t.replace(/^\d+\.(\.\.)?/, ""))
-      .filter(t =>
-        t &&
-        !/^(1-0|0-1|1\/2-1\/2|\*)$/.test(t) &&
-        !/^\.\.\.$/.test(t)
-      );
-  }
-
   function hardSync(board, game) {
     board.position(game.fen(), false);
   }
@@ -79,12 +67,112 @@
     cb && cb(board);
   }
 
+  /* -------------------------------------------------- */
+  /* Results (clean, hinted or revealed)                */
+  /* -------------------------------------------------- */
+
+  const RESULTS_KEY = "jc_puzzle_results";
+
+  const OUTCOME_MSG = {
+    clean: "Solved! 🏆",
+    hinted: "Solved with a hint 💡",
+    revealed: "Solution shown 👁"
+  };
+
+  function puzzleKey(fen, moves) {
+    return fen + " | " + moves.map(n => n.san).join(" ");
+  }
+
+  function loadResults() {
+    try {
+      return JSON.parse(localStorage.getItem(RESULTS_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  // The first finish counts: a puzzle once revealed is not clean later
+  function recordResult(key, outcome) {
+    const results = loadResults();
+    if (results[key]) return;
+    results[key] = outcome;
+    try {
+      localStorage.setItem(RESULTS_KEY, JSON.stringify(results));
+    } catch (e) {}
+  }
+
+  /* -------------------------------------------------- */
+  /* Engine check (opt-in with <puzzle engine>)         */
+  /* -------------------------------------------------- */
+
+  const ENGINE_DEPTH = 14;
+  const ENGINE_TIMEOUT = 20000;
+  const EQUIV_CP = 50;
+  const MATE_CP = 10000;
+
+  const engines = {};
+
+  // One engine per URL, shared by every puzzle on the page
+  function getEngine(url) {
+    if (!engines[url]) {
+      const e = engines[url] = new C.Engine(url);
+      e.failed = new Promise((_, reject) => {
+        e.onerror = () => reject(new Error("Engine unavailable: " + url));
+      });
+      e.failed.catch(() => {});
+    }
+    return engines[url];
+  }
+
+  // Centipawns for `side` (mates count as MATE_CP)
+  function engineScore(e, fen, side, variant) {
+    const g = C.createGame(variant);
+    g.load(fen);
+
+    if (g.in_checkmate()) return Promise.resolve(g.turn() === side ? -MATE_CP : MATE_CP);
+    if (g.game_over()) return Promise.resolve(0);
+
+    const search = e.go(fen, { depth: ENGINE_DEPTH, chess960: variant === "chess960" })
+      .then(res => {
+        const info = res && res.lines[0];
+        if (!info) throw new Error("No engine output for " + fen);
+
+        const ev = C.uciEval(info, g.turn());
+        const white = ev.mate !== null ? (ev.white ? MATE_CP : -MATE_CP) : ev.pawns * 100;
+        return side === "w" ? white : -white;
+      });
+
+    const timeout = new Promise((_, reject) =>
+      setTimeout(() => reject(new Error("Engine timed out")), ENGINE_TIMEOUT)
+    );
+
+    return Promise.race([search, e.failed, timeout]);
+  }
+
+  // True when the played position is within EQUIV_CP of the expected
+  // one; the searches run one after the other on the shared engine.
+  // Rejects when no engine build is served at `url`.
+  function engineEquivalent(url, played, expected, side, variant) {
+    return C.engineAvailable(url).then(ok => {
+      if (!ok) throw new Error("Engine unavailable: " + url);
+
+      const e = getEngine(url);
+      return engineScore(e, played, side, variant).then(a =>
+        engineScore(e, expected, side, variant).then(b => a >= b - EQUIV_CP)
+      );
+    });
+  }
+
   /* -------------------------------------------------- */
   /* Puzzle renderer                                    */
   /* -------------------------------------------------- */
 
-  function renderLocalPuzzle(container, fen, moves, label, autoFirstMove, forceBlack) {
+  // `moves` are parsed PGN nodes; variations on the solver's moves are
+  // alternative solutions.
+  function renderLocalPuzzle(container, fen, moves, label, autoFirstMove, forceBlack, variant, engineUrl) {
 
+    // a pack renders each of its puzzles into the same container
+    if (container._clickToMove) container._clickToMove.destroy();
     container.innerHTML = "";
 
     const boardDiv = document.createElement("div");
@@ -110,16 +198,28 @@
     nextBtn.textContent = "Next Puzzle →";
     nextBtn.style.display = "none";
 
-    statusBar.append(statusLabel, sep1, statusMsg, sep2, nextBtn);
+    const hintBtn = document.createElement("button");
+    hintBtn.textContent = "💡 Hint";
+
+    const solutionBtn = document.createElement("button");
+    solutionBtn.textContent = "Show solution";
+
+    statusBar.append(statusLabel, sep1, statusMsg, hintBtn, solutionBtn, sep2, nextBtn);
     container.append(boardDiv, statusBar);
 
-    const game = new Chess(fen);
+    const game = C.createGame(variant);
+    game.load(fen);
     let solverSide = game.turn();
 
     let board;
+    let line = moves;
     let index = 0;
     let locked = false;
+    let promoting = false;
+    let checking = null;
     let solved = false;
+    let hintLevel = 0;
+    let outcome = "clean";
 
     function updateSeparators() {
 
@@ -139,7 +239,11 @@
 
     function finishSolved() {
       solved = true;
-      updateStatus("Solved! 🏆");
+      clearHint();
+      hintBtn.style.display = "none";
+      solutionBtn.style.display = "none";
+      recordResult(puzzleKey(fen, moves), outcome);
+      updateStatus(OUTCOME_MSG[outcome]);
 
       if (autoFirstMove) {
         nextBtn.style.display = "inline-block";
@@ -150,13 +254,71 @@
       updateSeparators();
     }
 
+    // The solver's next move as played from the current position
+    function expectedMove() {
+      const g = C.createGame(variant);
+      g.load(game.fen());
+      return g.move(line[index].san, { sloppy: true });
+    }
+
+    function clearHint() {
+      hintLevel = 0;
+      C.drawAnnotations(boardDiv, null);
+    }
+
+    // First the piece to move, then its target square too
+    function showHint() {
+      if (!board || locked || solved || game.turn() !== solverSide) return;
+
+      const mv = expectedMove();
+      if (!mv) return;
+
+      hintLevel = Math.min(hintLevel + 1, 2);
+      outcome = "hinted";
+
+      const squares = [{ color: "G", square: mv.from }];
+      if (hintLevel > 1) squares.push({ color: "G", square: mv.to });
+      C.drawAnnotations(boardDiv, { arrows: [], squares }, board.orientation());
+      updateStatus(hintLevel > 1 ? "Hint: move it to the marked square" : "Hint: move the marked piece");
+    }
+
+    // Plays out the remaining moves, solver's and replies alike
+    function showSolution() {
+      if (!board || locked || solved) return;
+
+      outcome = "revealed";
+      locked = true;
+      clearHint();
+      updateStatus("");
+      playOut();
+    }
+
+    function playOut() {
+      const mv = index < line.length && game.move(line[index].san, { sloppy: true });
+      if (!mv) {
+        locked = false;
+        return finishSolved();
+      }
+
+      index++;
+      board.move(mv.from + "-" + mv.to);
+
+      setTimeout(() => {
+        hardSync(board, game);
+        setTimeout(playOut, ANIM_MS * 2);
+      }, ANIM_MS);
+    }
+
+    hintBtn.onclick = showHint;
+    solutionBtn.onclick = showSolution;
+
     function autoReply() {
-      if (index >= moves.length) {
+      if (index >= line.length) {
         finishSolved();
         return;
       }
 
-      const mv = game.move(moves[index], { sloppy: true });
+      const mv = game.move(line[index].san, { sloppy: true });
       if (!mv) return finishSolved();
 
       index++;
@@ -169,30 +331,125 @@
     }
 
     function onDrop(from, to) {
-      if (locked || solved || game.turn() !== solverSide) return "snapback";
+      if (locked || solved || from === to || game.turn() !== solverSide) return "snapback";
+
+      // Underpromotions count: ask, and judge the move once picked
+      if (C.isPromotion(game, from, to)) {
+        locked = true;
+        promoting = true;
+        C.choosePromotion(game.turn()).then(p => {
+          locked = false;
+          promoting = false;
+          if (!p || playMove(from, to, p) === "snapback") hardSync(board, game);
+        });
+        return;
+      }
 
-      const expected = moves[index];
-      const mv = game.move({ from, to, promotion: "q" });
+      return playMove(from, to, "q");
+    }
+
+    // The line to follow after `san`: the current one, or a variation
+    // written as an alternative to the expected move
+    function lineFor(san) {
+      const expected = line[index];
+      if (normalizeSAN(expected.san) === normalizeSAN(san)) return line;
+
+      const alt = expected.variations.find(v =>
+        v[0] && normalizeSAN(v[0].san) === normalizeSAN(san)
+      );
+      return alt ? line.slice(0, index).concat(alt) : null;
+    }
+
+    // Ends the line with the solver's own move
+    function finalMove(mv) {
+      return line.slice(0, index).concat({ san: mv.san, variations: [] });
+    }
+
+    function playMove(from, to, promotion) {
+      const mv = game.move({ from, to, promotion });
       if (!mv) return "snapback";
 
-      if (normalizeSAN(mv.san) !== normalizeSAN(expected)) {
-        game.undo();
-        updateStatus("Wrong move ❌");
-        hardSync(board, game);
-        return "snapback";
+      const next = lineFor(mv.san);
+      if (next) {
+        line = next;
+        return accept();
+      }
+
+      // Any mate solves the puzzle, whatever the line says
+      if (game.in_checkmate()) {
+        line = finalMove(mv);
+        return accept();
       }
 
+      if (engineUrl) return checkWithEngine(mv);
+
+      game.undo();
+      return wrongMove();
+    }
+
+    function accept() {
       index++;
+      clearHint();
       updateStatus("Correct move! ✅ Make your next move");
       hardSync(board, game);
 
-      if (index >= moves.length) return finishSolved();
+      if (index >= line.length) return finishSolved();
 
       locked = true;
       setTimeout(autoReply, 80);
       return true;
     }
 
+    function wrongMove() {
+      updateStatus("Wrong move ❌");
+      hardSync(board, game);
+      return "snapback";
+    }
+
+    // A move the engine rates as highly as the expected one solves the
+    // puzzle on its last move; earlier, the line still has to be found.
+    function checkWithEngine(mv) {
+      const played = game.fen();
+      game.undo();
+
+      const g = C.createGame(variant);
+      g.load(game.fen());
+      if (!g.move(line[index].san, { sloppy: true })) return wrongMove();
+
+      // the played move stays on the board until the engine answers
+      locked = true;
+      checking = played;
+      board.position(played, false);
+      updateStatus("Checking with the engine…");
+
+      engineEquivalent(engineUrl, played, g.fen(), solverSide, variant)
+        .then(ok => {
+          locked = false;
+          checking = null;
+          if (!ok) return wrongMove();
+
+          if (index === line.length - 1) {
+            game.load(played);
+            line = finalMove(mv);
+            return accept();
+          }
+
+          updateStatus("Good move too, but look for the puzzle's move 🤔");
+          hardSync(board, game);
+        })
+        .catch(() => {
+          locked = false;
+          checking = null;
+          wrongMove();
+        });
+    }
+
+    container._clickToMove = C.clickToMove(boardDiv, {
+      game: () => board && game,
+      canMove: () => !locked && !solved && game.turn() === solverSide,
+      onMove: onDrop
+    });
+
     function computeOrientation() {
       if (forceBlack) return "black";
 
@@ -209,13 +466,18 @@
         orientation: computeOrientation(),
         pieceTheme: PIECE_THEME,
         onDrop,
-        onSnapEnd: () => hardSync(board, game)
+        // the dropped pawn waits on the last rank while the picker is
+        // open, and a move being checked stays until the engine answers
+        onSnapEnd: () => {
+          if (checking) board.position(checking, false);
+          else if (!promoting) hardSync(board, game);
+        }
       },
       b => {
         board = b;
 
         if (autoFirstMove) {
-          const mv = game.move(moves[0], { sloppy: true });
+          const mv = game.move(moves[0].san, { sloppy: true });
           if (mv) {
             board.position(game.fen(), true);
             index = 1;
@@ -236,72 +498,54 @@
   /* Remote PGN parsing                                 */
   /* -------------------------------------------------- */
 
-  function splitIntoPgnGames(text) {
-    return String(text || "")
-      .replace(/\r/g, "")
-      .trim()
-      .split(/\n\s*\n(?=\s*\[)/)
-      .map(s => s.trim())
-      .filter(Boolean);
-  }
+  function parseGame(game) {
 
-  function parseGame(pgn) {
+    const fen = game.fen;
+    const nodes = game.moves;
+    const variant = game.variant;
 
-    const fenMatch = pgn.match(/\[FEN\s+"([^"]+)"\]/i);
-    const fen = fenMatch ? fenMatch[1] : "start";
-
-    const moveText = String(pgn)
-      .replace(/^\s*(?:\[[^\n]*\]\s*\n)+/m, "")
-      .trim();
+    if (game.error) return { error: game.error };
+    if (!nodes.length) return { error: "PGN contains no movetext." };
 
-    if (!moveText) return { error: "PGN contains no movetext." };
+    const illegal = nodes.find(n => !n.fen);
+    if (illegal) return { error: "Illegal move: " + illegal.san };
 
-    const moves = tokenizeMoves(moveText);
-    if (!moves.length) return { error: "No legal moves found." };
-
-    const test = new Chess(fen);
-    let lastMove = null;
-
-    for (const m of moves) {
-      lastMove = test.move(m, { sloppy: true });
-      if (!lastMove) return { error: "Illegal move: " + m };
-    }
+    const lastMove = nodes[nodes.length - 1];
 
-    if (lastMove && lastMove.san.includes("#")) {
+    if (lastMove.san.includes("#")) {
       const matingSide = lastMove.color;
       const fenSide = fen.split(" ")[1];
 
       if (matingSide !== fenSide) {
         return {
           fen: fen,
-          moves: [
-            moves[moves.length - 2],
-            normalizeSAN(lastMove.san)
-          ]
+          variant,
+          moves: nodes.slice(-2)
         };
       }
     }
 
-    return { fen, moves };
+    return { fen, variant, moves: nodes };
   }
 
   /* -------------------------------------------------- */
   /* Remote PGN renderer                                */
   /* -------------------------------------------------- */
 
-  async function renderRemotePGN(container, url) {
+  async function renderRemotePGN(container, url, engineUrl) {
 
     container.textContent = "Loading...";
 
     const res = await fetch(url, { cache: "no-store" });
     const text = await res.text();
 
-    const puzzles = splitIntoPgnGames(text)
-      .map(parseGame)
-      .filter(p => !p.error);
+    const parsed = C.parseGames(text).map(parseGame);
+    const puzzles = parsed.filter(p => !p.error);
 
     if (!puzzles.length) {
-      container.textContent = "No valid puzzles in PGN file.";
+      const first = parsed.find(p => p.error);
+      container.textContent = "No valid puzzles in PGN file." +
+        (first ? " (" + first.error + ")" : "");
       return;
     }
 
@@ -314,6 +558,20 @@
       }
     };
 
+    // How the pack has gone so far, e.g. " (🏆 3 · 💡 1 · 👁 0)"
+    function tally() {
+      const results = loadResults();
+      const n = { clean: 0, hinted: 0, revealed: 0 };
+
+      puzzles.forEach(p => {
+        const r = results[puzzleKey(p.fen, p.moves)];
+        if (r in n) n[r]++;
+      });
+
+      if (!n.clean && !n.hinted && !n.revealed) return "";
+      return ` (🏆 ${n.clean} · 💡 ${n.hinted} · 👁 ${n.revealed})`;
+    }
+
     function renderCurrent() {
       const p = puzzles[index];
 
@@ -321,9 +579,11 @@
         container,
         p.fen,
         p.moves,
-        `Puzzle ${index + 1} / ${puzzles.length}`,
+        `Puzzle ${index + 1} / ${puzzles.length}` + tally(),
         true,
-        false
+        false,
+        p.variant,
+        engineUrl
       );
     }
 
@@ -341,6 +601,11 @@
       const raw = normalizePuzzleText(stripFigurines(node.textContent));
       const forceBlack = node.tagName.toLowerCase() === "puzzle-black";
 
+      // <puzzle engine> also accepts moves the engine rates as highly
+      const engineUrl = node.hasAttribute("engine")
+        ? node.getAttribute("engine") || C.ENGINE_URL
+        : "";
+
       const wrap = document.createElement("div");
       wrap.className = "jc-puzzle-wrapper";
       wrap.textContent = "Loading...";
@@ -350,7 +615,8 @@
       if (pgnMatch) {
         renderRemotePGN(
           wrap,
-          new URL(pgnMatch[1], window.location.href).href
+          new URL(pgnMatch[1], window.location.href).href,
+          engineUrl
         );
         return;
       }
@@ -358,14 +624,23 @@
       const fenMatch = raw.match(/FEN:\s*([^]*?)\s+Moves:/i);
       const movesMatch = raw.match(/Moves:\s*([^]*)$/i);
 
-      if (fenMatch && movesMatch) {
+      // An optional "Variant: Chess960" line goes before FEN:
+      const variantMatch = raw.match(/Variant:\s*([^\n]*?)\s*(?=FEN:|\n|$)/i);
+      const variant = C.variantOf({ Variant: variantMatch ? variantMatch[1] : "" });
+
+      if (!C.isSupportedVariant(variant)) {
+        wrap.textContent = "❌ Unsupported variant: " + variant + " ❌";
+      } else if (fenMatch && movesMatch) {
+        const fen = fenMatch[1].trim();
         renderLocalPuzzle(
           wrap,
-          fenMatch[1].trim(),
-          tokenizeMoves(movesMatch[1]),
+          fen,
+          C.parse(movesMatch[1], { fen, variant }).moves,
           "",
           false,
-          forceBlack
+          forceBlack,
+          variant,
+          engineUrl
         );
       } else {
         wrap.textContent = "❌ Invalid puzzle block! ❌";
@@ -51,6 +51,12 @@ function saveProgress(data) {
 
 document.addEventListener("DOMContentLoaded", () => {
 
+  // Parsing, promotion and tap-to-move come from pgn-core.js
+  if (!window.PGNCore) {
+    console.warn("JekyllChess: PGNCore missing");
+    return;
+  }
+
   const saved = loadProgress();
 
   document.querySelectorAll("worksheet").forEach(ws => {
@@ -96,11 +102,7 @@ document.addEventListener("DOMContentLoaded", () => {
 
 function splitPGN(text) {
 
-  return text.replace(/\r/g, "")
-    .split(/\n\s*\n(?=\[)/g)
-    .map(g => g.trim())
-    .filter(Boolean)
-    .map(extractPuzzle);
+  return PGNCore.parseGames(text).map(extractPuzzle);
 
 }
 
@@ -108,39 +110,15 @@ function splitPGN(text) {
 /* EXTRACT PUZZLE                */
 /* ============================= */
 
-function extractPuzzle(pgn) {
-
-  const fenMatch = pgn.match(/\[FEN\s+"([^"]+)"\]/);
-  const startFEN = fenMatch ? fenMatch[1] : "start";
-
-  const moveLine = pgn.split("\n").find(l => /^[0-9]/.test(l));
-
-  let solver = "white";
-  let moves = [];
-
-  if (moveLine) {
-
-    if (/^[0-9]+\.\.\./.test(moveLine)) solver = "white";
-    else if (/^[0-9]+\.\s/.test(moveLine)) solver = "black";
+function extractPuzzle(game) {
 
-    moves = moveLine
-      .replace(/[0-9]+\.(\.\.)?/g, "")
-      .replace(/\*/g, "")
-      .trim()
-      .split(/\s+/);
-  }
-
-  const game = new Chess(startFEN === "start" ? undefined : startFEN);
-
-  if (moves.length) {
-    game.move(moves[0], { sloppy: true });
-    moves.shift();
-  }
+  const moves = game.moves.filter(n => n.fen);
+  const first = moves.shift();
 
   return {
-    fen: game.fen(),
-    orientation: solver === "black" ? "black" : "white",
-    solution: moves,
+    fen: first ? first.fen : game.fen,
+    orientation: first && first.color === "w" ? "black" : "white",
+    solution: moves.map(n => n.san),
     state: "new",
     playedMove: null
   };
@@ -157,6 +135,9 @@ function renderPage(ws) {
   const end = start + 10;
   const slice = ws._puzzles.slice(start, end);
 
+  // The previous page's boards are thrown away with their taps
+  (ws._clickToMove || []).forEach(c => c && c.destroy());
+  ws._clickToMove = [];
   ws.innerHTML = "";
 
   const grid = document.createElement("div");
@@ -179,84 +160,108 @@ function renderPage(ws) {
 
     const game = new Chess(puzzle.fen);
 
-    const board = Chessboard(boardDiv, {
-      position: puzzle.fen,
-      orientation: puzzle.orientation,
-      draggable: puzzle.state === "new",
-      moveSpeed: 0,
-      snapSpeed: 0,
-      pieceTheme:
-        "https://chessboardjs.com/img/chesspieces/wikipedia/{piece}.png",
-
-      onDragStart: lockScroll,
+    function onDrop(source, target) {
 
-      onDrop: (source, target) => {
+      if (PGNCore.isPromotion(game, source, target)) {
 
-        const move = game.move({
-          from: source,
-          to: target,
-          promotion: "q"
+        PGNCore.choosePromotion(game.turn()).then(p => {
+          if (!p || playMove(source, target, p) === "snapback") {
+            board.position(game.fen(), false);
+          }
+          unlockScroll();
         });
 
-        if (!move) {
-          unlockScroll();
-          return "snapback";
-        }
+        return;
+      }
 
-        const expected = puzzle.solution[0];
+      return playMove(source, target, "q");
 
-        /* WRONG */
-        if (!expected || move.san !== expected) {
+    }
 
-          game.undo();
-          puzzle.state = "wrong";
-          puzzle.playedMove = move.san;
+    function playMove(source, target, promotion) {
 
-          feedback.textContent = move.san + " ❌";
-          applyFigurine(feedback);
+      const move = game.move({
+        from: source,
+        to: target,
+        promotion
+      });
 
-          REPORT.attempted++;
-          REPORT.wrong++;
-          REPORT.currentStreak = 0;
+      if (!move) {
+        unlockScroll();
+        return "snapback";
+      }
 
-          cell.classList.add("disabled");
-          board.draggable = false;
+      const expected = puzzle.solution[0];
 
-          persist(ws);
-          updateNextButton(ws);
-          unlockScroll();
-          return "snapback";
-        }
+      /* WRONG */
+      if (!expected || move.san !== expected) {
 
-        /* CORRECT */
-        puzzle.solution.shift();
+        game.undo();
+        puzzle.state = "wrong";
         puzzle.playedMove = move.san;
 
-        feedback.textContent = move.san + " ✅";
+        feedback.textContent = move.san + " ❌";
         applyFigurine(feedback);
-        board.position(game.fen(), false);
 
-        if (puzzle.solution.length === 0) {
+        REPORT.attempted++;
+        REPORT.wrong++;
+        REPORT.currentStreak = 0;
 
-          puzzle.state = "solved";
-
-          REPORT.attempted++;
-          REPORT.correct++;
-          REPORT.currentStreak++;
-          REPORT.bestStreak = Math.max(REPORT.bestStreak, REPORT.currentStreak);
-
-          cell.classList.add("disabled");
-          board.draggable = false;
-        }
+        cell.classList.add("disabled");
+        board.draggable = false;
 
         persist(ws);
         updateNextButton(ws);
         unlockScroll();
+        return "snapback";
+      }
+
+      /* CORRECT */
+      puzzle.solution.shift();
+      puzzle.playedMove = move.san;
+
+      feedback.textContent = move.san + " ✅";
+      applyFigurine(feedback);
+      board.position(game.fen(), false);
+
+      if (puzzle.solution.length === 0) {
 
+        puzzle.state = "solved";
+
+        REPORT.attempted++;
+        REPORT.correct++;
+        REPORT.currentStreak++;
+        REPORT.bestStreak = Math.max(REPORT.bestStreak, REPORT.currentStreak);
+
+        cell.classList.add("disabled");
+        board.draggable = false;
       }
 
+      persist(ws);
+      updateNextButton(ws);
+      unlockScroll();
+
+    }
+
+    const board = Chessboard(boardDiv, {
+      position: puzzle.fen,
+      orientation: puzzle.orientation,
+      draggable: puzzle.state === "new",
+      moveSpeed: 0,
+      snapSpeed: 0,
+      pieceTheme:
+        "https://chessboardjs.com/img/chesspieces/wikipedia/{piece}.png",
+
+      onDragStart: lockScroll,
+      onDrop
     });
 
+    ws._clickToMove.push(PGNCore.clickToMove(boardDiv, {
+      game: () => game,
+      canMove: () => puzzle.state === "new",
+      onMove: onDrop
+    }));
+
     /* RESTORE STATE */
 
     if (puzzle.state !== "new") {